@@ -0,0 +1,23 @@
+// config/circulation.js - loan rules, overridable through environment variables
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Days a book can be kept per checkout/renewal
+  loanPeriodDays: toInt(process.env.LOAN_PERIOD_DAYS, 14),
+  // How many times a loan can be renewed
+  maxRenewals: toInt(process.env.LOAN_MAX_RENEWALS, 2),
+  // Days a patron has to pick up a copy set aside for their hold
+  holdPickupDays: toInt(process.env.HOLD_PICKUP_DAYS, 3),
+  // How often the server looks for unclaimed holds
+  holdExpiryIntervalMinutes: toInt(process.env.HOLD_EXPIRY_INTERVAL_MINUTES, 15),
+  // How often the server marks overdue loans and accrues fines
+  overdueCheckIntervalMinutes: toInt(process.env.OVERDUE_CHECK_INTERVAL_MINUTES, 60),
+  // Fines, all in cents
+  finePerDayCents: toInt(process.env.FINE_PER_DAY_CENTS, 25),
+  fineMaxPerLoanCents: toInt(process.env.FINE_MAX_PER_LOAN_CENTS, 1000),
+  // Patrons owing more than this cannot check out
+  fineBlockThresholdCents: toInt(process.env.FINE_BLOCK_THRESHOLD_CENTS, 500)
+};
\ No newline at end of file
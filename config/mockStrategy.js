@@ -0,0 +1,49 @@
+// config/mockStrategy.js
+// Offline stand-in for the Google/GitHub OAuth strategies.
+// It skips the provider redirect and hands a fake profile straight to the
+// same verify callback the real strategies use, so the rest of the login
+// flow (User lookup, session, callbacks) runs unchanged.
+const { Strategy } = require('passport');
+
+class MockStrategy extends Strategy {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Strategy name to register under (e.g. 'google')
+   * @param {Object|Function} [options.profile] - Profile object, or (req) => profile
+   * @param {Function} verify - (accessToken, refreshToken, profile, done)
+   */
+  constructor(options, verify) {
+    super();
+    this.name = options.name || 'mock';
+    this._profile = options.profile || MockStrategy.profileFromRequest;
+    this._verify = verify;
+  }
+  
+  authenticate(req) {
+    const profile = typeof this._profile === 'function'
+      ? this._profile(req)
+      : this._profile;
+    
+    this._verify('mock-access-token', 'mock-refresh-token', { provider: this.name, ...profile }, (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info);
+      this.success(user, info);
+    });
+  }
+  
+  // Default profile: lets tests pick an identity with ?mockId=&mockName=&mockEmail=
+  static profileFromRequest(req) {
+    const id = req.query.mockId || 'mock-user-1';
+    const email = req.query.mockEmail || `${id}@example.com`;
+    
+    return {
+      id: id,
+      displayName: req.query.mockName || 'Mock User',
+      username: id,
+      emails: [{ value: email }],
+      photos: []
+    };
+  }
+}
+
+module.exports = MockStrategy;
\ No newline at end of file
@@ -1,27 +1,83 @@
+const passport = require('passport');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const GitHubStrategy = require('passport-github2').Strategy;
+const MockStrategy = require('./mockStrategy');
+const User = require('../models/User');
 
-passport.use(new GitHubStrategy({
-    clientID: process.env.GITHUB_CLIENT_ID,
-    clientSecret: process.env.GITHUB_CLIENT_SECRET,
-    callbackURL: process.env.GITHUB_CALLBACK_URL || '/auth/github/callback'
-  },
-  async (accessToken, refreshToken, profile, done) => {
-    try {
-      let user = await User.findOne({ githubId: profile.id });
-      
-      if (!user) {
-        user = await User.create({
-          githubId: profile.id,
-          displayName: profile.displayName || profile.username,
-          email: profile.emails?.[0]?.value,
-          avatar: profile.photos?.[0]?.value,
-          username: profile.username
-        });
-      }
-      
-      return done(null, user);
-    } catch (error) {
-      return done(error, null);
+// Shared verify callback: find the user by provider ID or create a new account
+const findOrCreateUser = (providerField) => async (accessToken, refreshToken, profile, done) => {
+  try {
+    let user = await User.findOne({ [providerField]: profile.id });
+    
+    if (!user) {
+      user = await User.create({
+        [providerField]: profile.id,
+        displayName: profile.displayName || profile.username,
+        email: profile.emails?.[0]?.value,
+        avatar: profile.photos?.[0]?.value,
+        username: profile.username
+      });
     }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    return done(null, user);
+  } catch (error) {
+    return done(error, null);
   }
-));
\ No newline at end of file
+};
+
+const useMock = process.env.OAUTH_MOCK === 'true';
+
+if (useMock && process.env.NODE_ENV === 'production') {
+  console.error('❌ OAUTH_MOCK is ignored in production');
+}
+
+if (useMock && process.env.NODE_ENV !== 'production') {
+  // Offline testing: both providers log in instantly with a fake profile
+  passport.use(new MockStrategy({ name: 'google' }, findOrCreateUser('googleId')));
+  passport.use(new MockStrategy({ name: 'github' }, findOrCreateUser('githubId')));
+  console.log('🧪 OAuth mock strategies enabled (google, github)');
+} else {
+  if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    passport.use(new GoogleStrategy({
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL: process.env.GOOGLE_CALLBACK_URL || '/auth/google/callback'
+      },
+      findOrCreateUser('googleId')
+    ));
+  } else {
+    console.log('⚠️  GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET not set, Google login disabled');
+  }
+  
+  if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
+    passport.use(new GitHubStrategy({
+        clientID: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        callbackURL: process.env.GITHUB_CALLBACK_URL || '/auth/github/callback',
+        scope: ['user:email']
+      },
+      findOrCreateUser('githubId')
+    ));
+  } else {
+    console.log('⚠️  GITHUB_CLIENT_ID/GITHUB_CLIENT_SECRET not set, GitHub login disabled');
+  }
+}
+
+// Store only the user ID in the session
+passport.serializeUser((user, done) => {
+  done(null, user._id.toString());
+});
+
+passport.deserializeUser(async (id, done) => {
+  try {
+    const user = await User.findById(id);
+    done(null, user || false);
+  } catch (error) {
+    done(error, null);
+  }
+});
+
+module.exports = passport;
\ No newline at end of file
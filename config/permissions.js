@@ -0,0 +1,53 @@
+// config/permissions.js - role-based permission matrix
+//   reader    - browse the catalog and borrow books
+//   librarian - manage books, authors, everyone's loans and fines
+//   admin     - everything, including user accounts, branches and maintenance jobs
+
+const ROLES = ['reader', 'librarian', 'admin'];
+
+const PERMISSIONS = {
+  'books:read': ['reader', 'librarian', 'admin'],
+  'books:create': ['librarian', 'admin'],
+  'books:update': ['librarian', 'admin'],
+  'books:delete': ['librarian', 'admin'],
+  'books:export': ['librarian', 'admin'],
+  'authors:read': ['reader', 'librarian', 'admin'],
+  'authors:create': ['librarian', 'admin'],
+  'authors:update': ['librarian', 'admin'],
+  'authors:delete': ['librarian', 'admin'],
+  'trash:read': ['librarian', 'admin'],
+  'audit:read': ['librarian', 'admin'],
+  'copies:manage': ['librarian', 'admin'],
+  'transfers:manage': ['librarian', 'admin'],
+  'branches:manage': ['admin'],
+  'loans:create': ['reader', 'librarian', 'admin'],
+  'loans:read': ['reader', 'librarian', 'admin'],
+  'loans:manage': ['librarian', 'admin'],
+  'fines:read': ['reader', 'librarian', 'admin'],
+  'fines:manage': ['librarian', 'admin'],
+  'users:self': ['reader', 'librarian', 'admin'],
+  'users:read': ['admin'],
+  'users:manage': ['admin'],
+  'maintenance:run': ['admin']
+};
+
+// Accounts created before roles existed were stored as 'user'
+const normalizeRole = (role) => (role === 'user' || !role ? 'reader' : role);
+
+const rolesFor = (permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles;
+};
+
+const hasPermission = (role, permission) => rolesFor(permission).includes(normalizeRole(role));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  normalizeRole,
+  rolesFor,
+  hasPermission
+};
\ No newline at end of file
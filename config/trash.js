@@ -0,0 +1,13 @@
+// config/trash.js - how long deleted books and authors are kept, overridable
+// through environment variables
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Days a deleted book or author can still be restored before it is purged
+  retentionDays: toInt(process.env.TRASH_RETENTION_DAYS, 30),
+  // How often the server purges trash older than retentionDays
+  purgeIntervalMinutes: toInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 60)
+};
\ No newline at end of file
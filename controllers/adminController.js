@@ -0,0 +1,25 @@
+const { recountBooks: runRecount } = require('../utils/bookCounts');
+
+// POST recount - rebuild every author's bookCount from the books collection
+const recountBooks = async (req, res) => {
+  try {
+    const result = await runRecount();
+    
+    res.status(200).json({
+      success: true,
+      message: `Recounted books for ${result.authors} author(s); ${result.corrections.length} count(s) corrected`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error recounting books:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  recountBooks
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+const Book = require('../models/book');
+const AuditEntry = require('../models/auditEntry');
+const { validationResult } = require('express-validator');
+const { paginate } = require('../utils/pagination');
+
+const ENTITIES = AuditEntry.schema.path('entity').enumValues;
+const ACTIONS = AuditEntry.schema.path('action').enumValues;
+
+const NEWEST_FIRST = { at: -1, _id: -1 };
+
+// Sends one page of audit entries matching filter
+const sendEntries = async (req, res, filter) => {
+  const page = await paginate(req, res, {
+    model: AuditEntry,
+    filter,
+    sort: NEWEST_FIRST,
+    decorate: (query) => query.lean()
+  });
+  if (!page.data) {
+    return res.status(page.status).json(page.body);
+  }
+  
+  const total = await AuditEntry.countDocuments(filter);
+  
+  res.status(200).json({
+    success: true,
+    count: page.data.length,
+    total,
+    pagination: page.pagination,
+    data: page.data
+  });
+};
+
+// GET audit - every recorded change, newest first
+const getAudit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { entity, entityId, action, actor } = req.query;
+    
+    const filter = {};
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    
+    await sendEntries(req, res, filter);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// GET books/:id/history - changes to one book, including after it was deleted
+// or purged from the trash
+const getBookHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const filter = { entity: 'book', entityId: req.params.id };
+    
+    const known = await AuditEntry.exists(filter) ||
+      await Book.exists({ _id: req.params.id }).setOptions({ withDeleted: true });
+    if (!known) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    await sendEntries(req, res, filter);
+  } catch (error) {
+    console.error('Error fetching book history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  ENTITIES,
+  ACTIONS,
+  getAudit,
+  getBookHistory
+};
\ No newline at end of file
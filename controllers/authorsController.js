@@ -1,15 +1,53 @@
 const Author = require('../models/author');
+const Book = require('../models/book');
+const Copy = require('../models/copy');
 const { validationResult } = require('express-validator');
+const { paginate } = require('../utils/pagination');
+const { patchDocument } = require('../utils/patch');
+const { withTransaction } = require('../utils/transactions');
+const { purgeDateFor } = require('../utils/trash');
+const { ownerIdFor, canModifyBook } = require('../utils/ownership');
+const { recordAudit } = require('../utils/audit');
+const { cancelHoldsFor } = require('../utils/holdQueue');
+const { validateAuthor } = require('../middleware/authorValidation');
 
-// GET all authors
+// Fields POST, PUT and PATCH /authors may set; bookCount is kept by the book
+// endpoints, deletedAt/deletedBy by DELETE and restore
+const EDITABLE_FIELDS = ['firstName', 'lastName', 'nationality', 'birthDate', 'deathDate', 'biography', 'website', 'genres', 'awards'];
+
+const editableFields = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// GET all authors - cursor paginated (see utils/pagination.js)
 const getAllAuthors = async (req, res) => {
   try {
-    const authors = await Author.find().sort({ lastName: 1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const page = await paginate(req, res, {
+      model: Author,
+      filter: {},
+      sort: { lastName: 1, firstName: 1, _id: 1 },
+      decorate: (query) => query.lean()
+    });
+    if (!page.data) {
+      return res.status(page.status).json(page.body);
+    }
+    
+    const total = await Author.countDocuments();
     
     res.status(200).json({
       success: true,
-      count: authors.length,
-      data: authors
+      count: page.data.length,
+      total,
+      pagination: page.pagination,
+      data: page.data
     });
   } catch (error) {
     console.error('Error fetching authors:', error);
@@ -21,6 +59,388 @@ const getAllAuthors = async (req, res) => {
   }
 };
 
+// GET single author by ID
+const getAuthorById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const author = await Author.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: author
+    });
+  } catch (error) {
+    console.error('Error fetching author:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid author ID format'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST create new author
+const createAuthor = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const author = await Author.create(editableFields(req.body));
+    await recordAudit(req, { entity: 'author', action: 'create', after: author });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Author created successfully',
+      data: author
+    });
+  } catch (error) {
+    console.error('Error creating author:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// PUT update author
+const updateAuthor = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const before = await Author.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    const author = await Author.findByIdAndUpdate(
+      req.params.id,
+      editableFields(req.body),
+      { new: true, runValidators: true }
+    );
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    await recordAudit(req, { entity: 'author', action: 'update', before, after: author });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Author updated successfully',
+      data: author
+    });
+  } catch (error) {
+    console.error('Error updating author:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid author ID format'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// PATCH author - JSON Merge Patch or JSON Patch (see utils/patch.js). Only the
+// fields the patch changes are validated and written.
+const patchAuthor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const existingAuthor = await Author.findById(req.params.id);
+    if (!existingAuthor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    const patch = await patchDocument(req, res, existingAuthor, { fields: EDITABLE_FIELDS, rules: validateAuthor });
+    if (patch.status) {
+      return res.status(patch.status).json(patch.body);
+    }
+    
+    if (patch.changed.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'Author unchanged',
+        data: existingAuthor
+      });
+    }
+    
+    const update = { $set: patch.set };
+    if (patch.unset.length > 0) {
+      update.$unset = Object.fromEntries(patch.unset.map(field => [field, '']));
+    }
+    
+    // findOneAndUpdate also refreshes authorName on their books if the name changed
+    const author = await Author.findByIdAndUpdate(
+      existingAuthor._id,
+      update,
+      { new: true, runValidators: true }
+    );
+    await recordAudit(req, { entity: 'author', action: 'update', before: existingAuthor, after: author });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Author updated successfully',
+      data: author
+    });
+  } catch (error) {
+    console.error('Error patching author:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// DELETE author - moves them to the trash (see utils/softDelete.js)
+// Refuses while books still reference the author unless ?cascade=true is passed,
+// in which case those books go to the trash along with the author.
+const deleteAuthor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const author = await Author.findById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found'
+      });
+    }
+    
+    const cascade = req.query.cascade === 'true';
+    const bookCount = await Book.countDocuments({ author: author._id });
+    
+    if (bookCount > 0 && !cascade) {
+      return res.status(409).json({
+        success: false,
+        error: 'Author has books',
+        message: `This author is referenced by ${bookCount} book(s). Delete them first or retry with ?cascade=true`,
+        bookCount: bookCount
+      });
+    }
+    
+    const books = bookCount > 0 ? await Book.find({ author: author._id }, 'user').lean() : [];
+    const bookIds = books.map(book => book._id);
+    
+    // A cascade deletes each book, so it needs the same ownership as DELETE /books/{id}
+    const notOwned = books.filter(book => !canModifyBook(book, req.user));
+    if (notOwned.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `${notOwned.length} of this author's books belong to other users. Only their owners or an admin can delete them.`
+      });
+    }
+    
+    if (bookIds.length > 0) {
+      const inCirculation = await Copy.countDocuments({ book: { $in: bookIds }, status: { $in: ['on_loan', 'on_hold'] } });
+      if (inCirculation > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Books in circulation',
+          message: `${inCirculation} copy(ies) of this author's books are on loan or on hold`
+        });
+      }
+    }
+    
+    // The author and their books share a deletedAt, which is how a restore
+    // finds the books that went with the author
+    const trash = { deletedAt: new Date(), deletedBy: ownerIdFor(req.user) };
+    const deletedBooks = await withTransaction(async (session) => {
+      const result = await Book.updateMany({ _id: { $in: bookIds } }, { $set: trash }, { session });
+      await Author.updateOne({ _id: author._id }, { $set: { ...trash, bookCount: 0 } }, { session });
+      await cancelHoldsFor(bookIds, session);
+      await recordAudit(req, [
+        { entity: 'author', action: 'delete', before: author, after: { ...author.toObject(), ...trash, bookCount: 0 } },
+        ...bookIds.map(_id => ({ entity: 'book', action: 'delete', before: { _id, deletedAt: null, deletedBy: null }, after: { _id, ...trash } }))
+      ], { session });
+      return result.modifiedCount;
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Author moved to the trash. Restore them with POST /authors/{id}/restore',
+      data: {
+        id: author._id,
+        firstName: author.firstName,
+        lastName: author.lastName,
+        deletedBooks: deletedBooks,
+        deletedAt: trash.deletedAt,
+        purgeAt: purgeDateFor(trash.deletedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting author:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid author ID format'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST restore author - out of the trash, with the books deleted along with them
+const restoreAuthor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const author = await Author.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not in trash',
+        message: 'No deleted author with this ID (they may have been restored or purged)'
+      });
+    }
+    
+    // updateOne rather than findOneAndUpdate: the latter's hook rewrites the
+    // author's books outside this transaction
+    const restoredBooks = await withTransaction(async (session) => {
+      const withAuthor = { author: author._id, deletedAt: author.deletedAt };
+      const books = await Book.find(withAuthor, 'deletedAt deletedBy').session(session).lean();
+      await Book.updateMany(withAuthor, { $set: { deletedAt: null, deletedBy: null } }, { session });
+      
+      const bookCount = await Book.countDocuments({ author: author._id }).session(session);
+      const untrash = { deletedAt: null, deletedBy: null, bookCount };
+      await Author.updateOne({ _id: author._id, deletedAt: { $ne: null } }, { $set: untrash }, { session });
+      
+      await recordAudit(req, [
+        { entity: 'author', action: 'restore', before: author, after: { ...author.toObject(), ...untrash } },
+        ...books.map(book => ({ entity: 'book', action: 'restore', before: book, after: { _id: book._id, deletedAt: null, deletedBy: null } }))
+      ], { session });
+      return books.length;
+    });
+    const restored = await Author.findById(author._id);
+    
+    res.status(200).json({
+      success: true,
+      message: `Author restored with ${restoredBooks} book(s)`,
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring author:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
-  getAllAuthors
+  getAllAuthors,
+  getAuthorById,
+  createAuthor,
+  updateAuthor,
+  patchAuthor,
+  deleteAuthor,
+  restoreAuthor
 };
\ No newline at end of file
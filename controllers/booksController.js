@@ -1,32 +1,82 @@
 const Book = require('../models/book');
 const Author = require('../models/author');
+const Copy = require('../models/copy');
+const { once } = require('events');
 const { validationResult } = require('express-validator');
+const { generateBarcodes, addCopies } = require('../utils/inventory');
+const { searchTerms, highlightsFor } = require('../utils/search');
+const { parseSort, buildBookFilter, bookFacets } = require('../utils/bookQuery');
+const { paginate } = require('../utils/pagination');
+const { toIsbn13, toIsbn10 } = require('../utils/isbn');
+const { lookupIsbn } = require('../utils/catalog');
+const { findAuthorByName } = require('../utils/authors');
+const { ownerIdFor, canModifyBook } = require('../utils/ownership');
+const { EXPORT_FORMATS } = require('../utils/bookExport');
+const { MAX_ROWS: MAX_IMPORT_ROWS, parseImport, importBooks: runImport } = require('../utils/bookImport');
+const { patchDocument } = require('../utils/patch');
+const { withTransaction } = require('../utils/transactions');
+const { purgeDateFor } = require('../utils/trash');
+const { recordAudit } = require('../utils/audit');
+const { cancelHoldsFor } = require('../utils/holdQueue');
+const { etagFor, isNotModified, preconditionFailed, versionFilter, sendPreconditionFailed } = require('../utils/etag');
+const { validateBook } = require('../middleware/bookValidation');
 
-// GET all books
+// Fields PUT and PATCH /books/{id} may change; the owner, availableCopies and
+// bookkeeping (__v, authorName, deletedAt, ...) are managed elsewhere
+const EDITABLE_FIELDS = ['title', 'author', 'isbn', 'genre', 'publicationYear', 'publisher', 'pageCount', 'language', 'description', 'coverImageUrl'];
+
+const editableFields = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const forbiddenNotOwner = (res) => res.status(403).json({
+  success: false,
+  error: 'Forbidden',
+  message: 'Only the owner of this book or an admin can modify it'
+});
+
+// GET all books - filters, sort and facet counts (see utils/bookQuery.js)
 const getAllBooks = async (req, res) => {
   try {
-    const { page = 1, limit = 10, genre, author } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
     
-    const filter = {};
-    if (genre) filter.genre = genre;
-    if (author) filter.author = author;
+    const { sort, facets } = req.query;
     
-    const books = await Book.find(filter)
-      .populate('author', 'firstName lastName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
+    const { filter, status, body } = await buildBookFilter(req.query);
+    if (!filter) {
+      return res.status(status).json(body);
+    }
+    
+    const page = await paginate(req, res, {
+      model: Book,
+      filter,
+      sort: parseSort(sort),
+      decorate: (query) => query.populate('author', 'firstName lastName').lean()
+    });
+    if (!page.data) {
+      return res.status(page.status).json(page.body);
+    }
     
     const total = await Book.countDocuments(filter);
     
+    // Page-number requests (no cursor) keep the fields clients had before cursors
+    const { limit, page: currentPage } = page.pagination;
+    
     res.status(200).json({
       success: true,
-      count: books.length,
+      count: page.data.length,
       total,
-      totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
-      data: books
+      totalPages: currentPage === undefined ? undefined : Math.ceil(total / limit),
+      currentPage,
+      pagination: page.pagination,
+      facets: facets === 'false' ? undefined : await bookFacets(filter),
+      data: page.data
     });
   } catch (error) {
     console.error('Error fetching books:', error);
@@ -38,11 +88,75 @@ const getAllBooks = async (req, res) => {
   }
 };
 
+// GET export every book matching the getAllBooks filters, streamed as CSV,
+// JSON lines or MARCXML (see utils/bookExport.js)
+const exportBooks = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  let cursor;
+  try {
+    const format = EXPORT_FORMATS[req.query.format || 'csv'];
+    
+    const { filter, status, body } = await buildBookFilter(req.query);
+    if (!filter) {
+      return res.status(status).json(body);
+    }
+    
+    cursor = Book.find(filter)
+      .populate('author', 'firstName lastName')
+      .sort(parseSort(req.query.sort))
+      .lean()
+      .cursor();
+    
+    const filename = `books-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+    res.status(200);
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    
+    // Write book by book, waiting whenever the client falls behind
+    res.write(format.header);
+    for await (const book of cursor) {
+      if (res.destroyed) break;
+      if (!res.write(format.row(book))) {
+        // Drop the listener that didn't fire, or a slow client piles them up
+        const waiting = new AbortController();
+        await Promise.race([
+          once(res, 'drain', { signal: waiting.signal }),
+          once(res, 'close', { signal: waiting.signal })
+        ]).finally(() => waiting.abort());
+      }
+    }
+    res.end(format.footer);
+  } catch (error) {
+    console.error('Error exporting books:', error);
+    if (cursor) await cursor.close().catch(() => {});
+    
+    // Once streaming has started the status is sent; cut the response short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 // GET single book by ID
 const getBookById = async (req, res) => {
   try {
     const book = await Book.findById(req.params.id)
-      .populate('author', 'firstName lastName nationality birthYear');
+      .populate('author', 'firstName lastName nationality birthDate');
     
     if (!book) {
       return res.status(404).json({
@@ -51,6 +165,12 @@ const getBookById = async (req, res) => {
       });
     }
     
+    // Conditional GET: the client's copy is still current
+    res.set('ETag', etagFor(book));
+    if (isNotModified(req, book)) {
+      return res.status(304).end();
+    }
+    
     res.status(200).json({
       success: true,
       data: book
@@ -73,6 +193,46 @@ const getBookById = async (req, res) => {
   }
 };
 
+// GET single book by ISBN-10 or ISBN-13, hyphens optional
+const getBookByIsbn = async (req, res) => {
+  try {
+    const isbn13 = toIsbn13(req.params.isbn);
+    
+    if (!isbn13) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ISBN',
+        message: `${req.params.isbn} is not a valid ISBN-10 or ISBN-13`
+      });
+    }
+    
+    // Books saved before ISBNs were normalized may still hold the ISBN-10
+    const candidates = [isbn13, toIsbn10(isbn13)].filter(Boolean);
+    const book = await Book.findOne({ isbn: { $in: candidates } })
+      .populate('author', 'firstName lastName nationality birthDate');
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found',
+        message: `No book has ISBN ${isbn13}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: book
+    });
+  } catch (error) {
+    console.error('Error fetching book by ISBN:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
 // POST create new book
 const createBook = async (req, res) => {
   // Validate request
@@ -97,25 +257,38 @@ const createBook = async (req, res) => {
       }
     }
     
-    // Handle ISBN formatting
+    // Store the canonical ISBN-13 (the route already checked the check digit)
     if (req.body.isbn) {
-      // Remove hyphens and spaces for consistent storage
-      req.body.isbn = req.body.isbn.replace(/[-\s]/g, '');
+      req.body.isbn = toIsbn13(req.body.isbn);
     }
     
-    const book = await Book.create(req.body);
+    // Only the editable fields come from the body (not deletedAt, __v, ...)
+    const fields = editableFields(req.body);
+    
+    // Owner always comes from the logged-in user, never from the body
+    fields.user = ownerIdFor(req.user);
+    
+    // availableCopies on create means "add this many copies"; the field
+    // itself is derived from the copies
+    const initialCopies = parseInt(req.body.availableCopies, 10) || 0;
+    
+    // The book, its author's bookCount and the audit entry are written together
+    const book = await withTransaction(async (session) => {
+      const [created] = await Book.create([fields], { session });
+      await Author.updateOne({ _id: created.author }, { $inc: { bookCount: 1 } }, { session });
+      await recordAudit(req, { entity: 'book', action: 'create', after: created }, { session });
+      return created;
+    });
+    
+    if (initialCopies > 0) {
+      const barcodes = await generateBarcodes(book, initialCopies);
+      await addCopies(book, barcodes.map(barcode => ({ barcode })));
+    }
     
     // Populate author info
     const populatedBook = await Book.findById(book._id)
       .populate('author', 'firstName lastName');
     
-    // Increment author's book count
-    if (req.body.author) {
-      await Author.findByIdAndUpdate(req.body.author, {
-        $inc: { bookCount: 1 }
-      });
-    }
-    
     res.status(201).json({
       success: true,
       message: 'Book created successfully',
@@ -131,6 +304,11 @@ const createBook = async (req, res) => {
       
       if (field === 'isbn') {
         message = `A book with ISBN ${req.body.isbn} already exists`;
+        
+        const trashed = await Book.findOne({ isbn: req.body.isbn, deletedAt: { $ne: null } }, '_id');
+        if (trashed) {
+          message = `A book with ISBN ${req.body.isbn} is in the trash. Restore it with POST /books/${trashed._id}/restore`;
+        }
       } else if (field === 'title') {
         message = `A book titled "${req.body.title}" already exists`;
       }
@@ -161,114 +339,349 @@ const createBook = async (req, res) => {
   }
 };
 
-// PUT update book
-const updateBook = async (req, res) => {
+// Fields a client may set on top of the catalog record when importing
+const IMPORT_OVERRIDES = ['author', 'genre', 'title', 'publisher', 'publicationYear', 'pageCount', 'language', 'description', 'coverImageUrl', 'availableCopies'];
+
+// POST import a book from catalog metadata (see utils/catalog) by ISBN
+const importBookByIsbn = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const isbn = toIsbn13(req.body.isbn);
+    
+    const existing = await Book.findOne({ isbn }, 'title');
+    if (existing) {
+      return res.status(409).json({
         success: false,
-        errors: errors.array()
+        error: 'Duplicate Entry',
+        message: `A book with ISBN ${isbn} already exists`,
+        bookId: existing._id
       });
     }
     
-    // Check if book exists
-    const existingBook = await Book.findById(req.params.id);
-    if (!existingBook) {
+    const record = await lookupIsbn(isbn);
+    if (!record) {
       return res.status(404).json({
         success: false,
-        error: 'Book not found'
+        error: 'No catalog record',
+        message: `No catalog provider has metadata for ISBN ${isbn}. Create the book with POST /books instead.`
       });
     }
     
-    // Check if new author exists
-    if (req.body.author && req.body.author !== existingBook.author.toString()) {
-      const authorExists = await Author.findById(req.body.author);
-      if (!authorExists) {
+    let author = req.body.author;
+    if (!author) {
+      const matches = await Promise.all(record.authors.map(findAuthorByName));
+      const found = matches.find(Boolean);
+      if (!found) {
         return res.status(400).json({
           success: false,
           error: 'Author not found',
-          message: 'The specified author does not exist'
+          message: `The catalog lists ${record.authors.join(', ') || 'no author'}. Create the author first or pass an author ID.`,
+          catalogRecord: record
         });
       }
+      author = found._id;
     }
     
-    // Handle ISBN formatting
-    if (req.body.isbn) {
-      req.body.isbn = req.body.isbn.replace(/[-\s]/g, '');
-    }
+    const overrides = {};
+    IMPORT_OVERRIDES.forEach(field => {
+      if (req.body[field] !== undefined) overrides[field] = req.body[field];
+    });
     
-    const book = await Book.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    ).populate('author', 'firstName lastName');
+    // Hand over to createBook so ownership, copies and author bookkeeping stay in one place
+    req.body = {
+      title: record.title,
+      publisher: record.publisher,
+      publicationYear: record.publicationYear,
+      pageCount: record.pageCount,
+      language: record.language,
+      description: record.description,
+      coverImageUrl: record.coverImageUrl,
+      genre: record.genre || 'Other',
+      ...overrides,
+      isbn,
+      author
+    };
+    
+    return createBook(req, res);
+  } catch (error) {
+    console.error('Error importing book:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Import format from ?format= or the request's Content-Type
+const importFormatFor = (req) => {
+  if (req.query.format) return req.query.format;
+  if (req.is('text/csv')) return 'csv';
+  if (req.is(['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'])) return 'jsonl';
+  if (req.is('application/json')) return 'json';
+  return null;
+};
+
+// POST bulk import books from CSV or JSON lines (see utils/bookImport.js)
+const importBooks = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const format = importFormatFor(req);
+    if (!format) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported format',
+        message: 'Send text/csv, application/x-ndjson or a JSON array, or pass ?format=csv|jsonl'
+      });
+    }
     
-    // Handle author change
-    if (req.body.author && req.body.author !== existingBook.author.toString()) {
-      // Decrement old author's book count
-      await Author.findByIdAndUpdate(existingBook.author, {
-        $inc: { bookCount: -1 }
+    const rows = parseImport(req.body, format);
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Empty import',
+        message: 'No rows found in the request body'
       });
-      
-      // Increment new author's book count
-      await Author.findByIdAndUpdate(req.body.author, {
-        $inc: { bookCount: 1 }
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(413).json({
+        success: false,
+        error: 'Too many rows',
+        message: `An import can contain at most ${MAX_IMPORT_ROWS} rows; split the file`
       });
     }
     
+    const report = await runImport(rows, {
+      dryRun: req.query.dryRun === 'true',
+      user: req.user,
+      route: `${req.method} ${req.originalUrl}`
+    });
+    
     res.status(200).json({
-      success: true,
-      message: 'Book updated successfully',
-      data: book
+      success: report.failed === 0,
+      message: report.dryRun ? 'Dry run complete; nothing was saved' : 'Import complete',
+      data: report
     });
   } catch (error) {
-    console.error('Error updating book:', error);
-    
-    if (error.name === 'CastError') {
+    console.error('Error importing books:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Shared by PUT and PATCH: checks a new author exists, stores the ISBN as
+// ISBN-13, then in one transaction writes the update (only over the version
+// If-Match named, if any), moves the book between the authors' bookCount and
+// records the audit entry
+const saveBookUpdate = async (req, res, existingBook, fields, unset = []) => {
+  const authorChanged = fields.author && fields.author.toString() !== existingBook.author.toString();
+  
+  // Check if new author exists
+  if (authorChanged) {
+    const authorExists = await Author.findById(fields.author);
+    if (!authorExists) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid book ID format'
+        error: 'Author not found',
+        message: 'The specified author does not exist'
       });
     }
+  }
+  
+  // Store the canonical ISBN-13 (the route already checked the check digit)
+  if (fields.isbn) {
+    fields.isbn = toIsbn13(fields.isbn);
+  }
+  
+  const update = { $set: { ...fields, updatedAt: Date.now() } };
+  if (unset.length > 0) {
+    update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+  }
+  
+  const book = await withTransaction(async (session) => {
+    const updated = await Book.findOneAndUpdate(
+      versionFilter(req, existingBook),
+      update,
+      { new: true, runValidators: true, session }
+    ).populate('author', 'firstName lastName');
     
-    if (error.code === 11000) {
-      const field = Object.keys(error.keyPattern)[0];
-      let message = 'Duplicate value error';
-      
-      if (field === 'isbn') {
-        message = `A book with ISBN ${req.body.isbn} already exists`;
-      } else if (field === 'title') {
-        message = `A book titled "${req.body.title}" already exists`;
-      }
-      
+    if (!updated) return null;
+    
+    // Move the book from the old author's count to the new one's
+    if (authorChanged) {
+      await Author.updateOne({ _id: existingBook.author }, { $inc: { bookCount: -1 } }, { session });
+      await Author.updateOne({ _id: fields.author }, { $inc: { bookCount: 1 } }, { session });
+    }
+    await recordAudit(req, { entity: 'book', action: 'update', before: existingBook, after: updated }, { session });
+    return updated;
+  });
+  
+  // Deleted, or changed by someone else since the If-Match check
+  if (!book) {
+    return req.get('If-Match') ? sendPreconditionFailed(res) : res.status(404).json({
+      success: false,
+      error: 'Book not found'
+    });
+  }
+  
+  res.set('ETag', etagFor(book));
+  res.status(200).json({
+    success: true,
+    message: 'Book updated successfully',
+    data: book
+  });
+};
+
+const bookUpdateError = (res, error) => {
+  console.error('Error updating book:', error);
+  
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid book ID format'
+    });
+  }
+  
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern)[0];
+    const value = error.keyValue && error.keyValue[field];
+    let message = 'Duplicate value error';
+    
+    if (field === 'isbn') {
+      message = `A book with ISBN ${value} already exists`;
+    } else if (field === 'title') {
+      message = `A book titled "${value}" already exists`;
+    }
+    
+    return res.status(400).json({
+      success: false,
+      error: 'Duplicate Entry',
+      message: message,
+      field: field
+    });
+  }
+  
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      messages: messages
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: error.message
+  });
+};
+
+// PUT update book
+const updateBook = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'Duplicate Entry',
-        message: message,
-        field: field
+        errors: errors.array()
       });
     }
     
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(val => val.message);
+    // Check if book exists
+    const existingBook = await Book.findById(req.params.id);
+    if (!existingBook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    if (!canModifyBook(existingBook, req.user)) {
+      return forbiddenNotOwner(res);
+    }
+    
+    if (preconditionFailed(req, existingBook)) {
+      return sendPreconditionFailed(res, etagFor(existingBook));
+    }
+    
+    // Only the editable fields are written: a client echoing back a book it
+    // fetched (with __v, user, deletedAt, ...) mustn't overwrite bookkeeping
+    await saveBookUpdate(req, res, existingBook, editableFields(req.body));
+  } catch (error) {
+    bookUpdateError(res, error);
+  }
+};
+
+// PATCH book - JSON Merge Patch or JSON Patch (see utils/patch.js). Only the
+// fields the patch changes are validated and written.
+const patchBook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'Validation Error',
-        messages: messages
+        errors: errors.array()
       });
     }
     
-    res.status(500).json({
-      success: false,
-      error: 'Server Error',
-      message: error.message
-    });
+    const existingBook = await Book.findById(req.params.id);
+    if (!existingBook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    if (!canModifyBook(existingBook, req.user)) {
+      return forbiddenNotOwner(res);
+    }
+    
+    if (preconditionFailed(req, existingBook)) {
+      return sendPreconditionFailed(res, etagFor(existingBook));
+    }
+    
+    const patch = await patchDocument(req, res, existingBook, { fields: EDITABLE_FIELDS, rules: validateBook });
+    if (patch.status) {
+      return res.status(patch.status).json(patch.body);
+    }
+    
+    if (patch.changed.length === 0) {
+      await existingBook.populate('author', 'firstName lastName');
+      res.set('ETag', etagFor(existingBook));
+      return res.status(200).json({
+        success: true,
+        message: 'Book unchanged',
+        data: existingBook
+      });
+    }
+    
+    await saveBookUpdate(req, res, existingBook, patch.set, patch.unset);
+  } catch (error) {
+    bookUpdateError(res, error);
   }
 };
 
-// DELETE book
+// DELETE book - moves it to the trash (see utils/softDelete.js)
 const deleteBook = async (req, res) => {
   try {
     const book = await Book.findById(req.params.id);
@@ -280,22 +693,55 @@ const deleteBook = async (req, res) => {
       });
     }
     
-    // Decrement author's book count
-    if (book.author) {
-      await Author.findByIdAndUpdate(book.author, {
-        $inc: { bookCount: -1 }
+    if (!canModifyBook(book, req.user)) {
+      return forbiddenNotOwner(res);
+    }
+    
+    if (preconditionFailed(req, book)) {
+      return sendPreconditionFailed(res, etagFor(book));
+    }
+    
+    const inCirculation = await Copy.countDocuments({ book: book._id, status: { $in: ['on_loan', 'on_hold'] } });
+    if (inCirculation > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Book in circulation',
+        message: `${inCirculation} copy(ies) are on loan or on hold. Return them before deleting the book.`
       });
     }
     
-    await Book.findByIdAndDelete(req.params.id);
+    // Into the trash, with the author's bookCount and the book's open holds in
+    // the same transaction. The copies stay so a restore brings them back; the
+    // purge job removes them.
+    const deleted = await withTransaction(async (session) => {
+      const trashed = await Book.findOneAndUpdate(
+        versionFilter(req, book),
+        { $set: { deletedAt: new Date(), deletedBy: ownerIdFor(req.user) } },
+        { new: true, session }
+      );
+      if (trashed) {
+        await Author.updateOne({ _id: trashed.author }, { $inc: { bookCount: -1 } }, { session });
+        await cancelHoldsFor(trashed._id, session);
+        await recordAudit(req, { entity: 'book', action: 'delete', before: book, after: trashed }, { session });
+      }
+      return trashed;
+    });
+    if (!deleted) {
+      return req.get('If-Match') ? sendPreconditionFailed(res) : res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Book deleted successfully',
+      message: 'Book moved to the trash. Restore it with POST /books/{id}/restore',
       data: {
         id: book._id,
         title: book.title,
-        author: book.author
+        author: book.author,
+        deletedAt: deleted.deletedAt,
+        purgeAt: purgeDateFor(deleted.deletedAt)
       }
     });
   } catch (error) {
@@ -316,65 +762,165 @@ const deleteBook = async (req, res) => {
   }
 };
 
-// Search books
-const searchBooks = async (req, res) => {
+// POST restore book - take it back out of the trash
+const restoreBook = async (req, res) => {
   try {
-    const { q, field = 'title' } = req.query;
-    
-    if (!q) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'Search query required',
-        message: 'Please provide a search query (q parameter)'
+        errors: errors.array()
       });
     }
     
-    const searchFilter = {};
-    
-    // Build search filter based on field
-    switch (field) {
-      case 'title':
-        searchFilter.title = { $regex: q, $options: 'i' };
-        break;
-      case 'genre':
-        searchFilter.genre = { $regex: q, $options: 'i' };
-        break;
-      case 'isbn':
-        searchFilter.isbn = q.replace(/[-\s]/g, '');
-        break;
-      case 'authorName':
-        // This would require a different approach with aggregation
-        const books = await Book.find()
-          .populate({
-            path: 'author',
-            match: {
-              $or: [
-                { firstName: { $regex: q, $options: 'i' } },
-                { lastName: { $regex: q, $options: 'i' } }
-              ]
-            }
-          })
-          .then(books => books.filter(book => book.author));
-        
-        return res.status(200).json({
-          success: true,
-          count: books.length,
-          data: books
-        });
-      default:
-        searchFilter.title = { $regex: q, $options: 'i' };
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not in trash',
+        message: 'No deleted book with this ID (it may have been restored or purged)'
+      });
+    }
+    
+    if (!canModifyBook(book, req.user)) {
+      return forbiddenNotOwner(res);
+    }
+    
+    if (!(await Author.exists({ _id: book.author }))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Author in trash',
+        message: `Restore the author first with POST /authors/${book.author}/restore`
+      });
+    }
+    
+    const restored = await withTransaction(async (session) => {
+      const untrashed = await Book.findOneAndUpdate(
+        { _id: book._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true, session }
+      );
+      if (untrashed) {
+        await Author.updateOne({ _id: untrashed.author }, { $inc: { bookCount: 1 } }, { session });
+        await recordAudit(req, { entity: 'book', action: 'restore', before: book, after: untrashed }, { session });
+      }
+      return untrashed;
+    });
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not in trash'
+      });
     }
     
-    const books = await Book.find(searchFilter)
+    await restored.populate('author', 'firstName lastName');
+    res.set('ETag', etagFor(restored));
+    res.status(200).json({
+      success: true,
+      message: 'Book restored',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring book:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// GET books created by the current user
+const getUserBooks = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const ownerId = ownerIdFor(req.user);
+    
+    if (!ownerId) {
+      // Demo users without a real account don't own any books
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        total: 0,
+        totalPages: 0,
+        currentPage: parseInt(page),
+        data: []
+      });
+    }
+    
+    const filter = { user: ownerId };
+    
+    const books = await Book.find(filter)
       .populate('author', 'firstName lastName')
-      .sort({ title: 1 })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
       .lean();
     
+    const total = await Book.countDocuments(filter);
+    
     res.status(200).json({
       success: true,
       count: books.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
       data: books
     });
+  } catch (error) {
+    console.error('Error fetching user books:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Search books - relevance-ranked full-text search with highlighted snippets
+const searchBooks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { q, genre } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    // One $text query over the book_text_search index (title, author name, publisher, description)
+    const filter = { $text: { $search: q } };
+    if (genre) filter.genre = genre;
+    
+    const [books, total] = await Promise.all([
+      Book.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('author', 'firstName lastName')
+        .lean(),
+      Book.countDocuments(filter)
+    ]);
+    
+    const terms = searchTerms(q);
+    
+    res.status(200).json({
+      success: true,
+      query: q,
+      count: books.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: books.map(book => ({
+        ...book,
+        score: Math.round(book.score * 1000) / 1000,
+        highlights: highlightsFor(book, terms)
+      }))
+    });
   } catch (error) {
     console.error('Error searching books:', error);
     res.status(500).json({
@@ -412,9 +958,16 @@ const getBooksByGenre = async (req, res) => {
 module.exports = {
   getAllBooks,
   getBookById,
+  getBookByIsbn,
+  exportBooks,
   createBook,
+  importBookByIsbn,
+  importBooks,
   updateBook,
+  patchBook,
   deleteBook,
+  restoreBook,
+  getUserBooks,
   searchBooks,
   getBooksByGenre
 };
\ No newline at end of file
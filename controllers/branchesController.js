@@ -0,0 +1,222 @@
+const Branch = require('../models/branch');
+const Copy = require('../models/copy');
+const { validationResult } = require('express-validator');
+
+// GET all branches
+const getAllBranches = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+    
+    const branches = await Branch.find(filter).sort({ name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: branches.length,
+      data: branches
+    });
+  } catch (error) {
+    console.error('Error fetching branches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// GET single branch by ID or code, with copy counts
+const getBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findByIdOrCode(req.params.id);
+    
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Branch not found'
+      });
+    }
+    
+    const copiesByStatus = await Copy.aggregate([
+      { $match: { branch: branch._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...branch.toObject(),
+        copies: Object.fromEntries(copiesByStatus.map(row => [row._id, row.count]))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching branch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST create new branch
+const createBranch = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const branch = await Branch.create(req.body);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Error creating branch:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: `A branch with code ${req.body.code} already exists`,
+        field: 'code'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// PUT update branch
+const updateBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const branch = await Branch.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+    
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Branch not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Error updating branch:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: `A branch with code ${req.body.code} already exists`,
+        field: 'code'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// DELETE branch - only once it holds no copies
+const deleteBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const copyCount = await Copy.countDocuments({ branch: req.params.id });
+    if (copyCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Branch has copies',
+        message: `Transfer or withdraw the ${copyCount} copy(ies) at this branch first, or set isActive to false`
+      });
+    }
+    
+    const branch = await Branch.findByIdAndDelete(req.params.id);
+    
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Branch not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Branch deleted successfully',
+      data: {
+        id: branch._id,
+        code: branch.code,
+        name: branch.name
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting branch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch
+};
\ No newline at end of file
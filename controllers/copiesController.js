@@ -0,0 +1,278 @@
+const Copy = require('../models/copy');
+const Book = require('../models/book');
+const { validationResult } = require('express-validator');
+const { syncAvailableCopies } = require('../utils/inventory');
+const { releaseCopy } = require('../utils/holdQueue');
+
+// Statuses only circulation (checkout/return/holds) may set
+const CIRCULATION_STATUSES = ['on_loan', 'on_hold', 'in_transit'];
+
+const findByBarcode = (barcode) => Copy.findOne({ barcode: barcode.toUpperCase() });
+
+// A copy reaching the shelf goes to the next hold in line first, like a return.
+// Returns the copy as it now stands and the hold it was set aside for, if any.
+const shelveCopy = async (copy) => {
+  const hold = await releaseCopy(copy._id);
+  return { copy: hold ? await Copy.findById(copy._id) : copy, hold };
+};
+
+// GET /books/:id/copies
+const getBookCopies = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const filter = { book: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    
+    const copies = await Copy.find(filter).sort({ barcode: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: copies.length,
+      data: copies
+    });
+  } catch (error) {
+    console.error('Error fetching copies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /books/:id/copies
+const addCopy = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    const { barcode, branch, location, condition, status } = req.body;
+    const created = await Copy.create({ book: book._id, barcode, branch, location, condition, status });
+    const { copy, hold } = created.status === 'available'
+      ? await shelveCopy(created)
+      : { copy: created, hold: null };
+    const availableCopies = await syncAvailableCopies(book._id);
+    
+    res.status(201).json({
+      success: true,
+      message: hold ? 'Copy added and set aside for the next hold' : 'Copy added successfully',
+      data: copy,
+      availableCopies
+    });
+  } catch (error) {
+    console.error('Error adding copy:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duplicate Entry',
+        message: `A copy with barcode ${req.body.barcode} already exists`,
+        field: 'barcode'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// GET /copies/:barcode
+const getCopyByBarcode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const copy = await findByBarcode(req.params.barcode)
+      .populate({ path: 'book', select: 'title isbn author', populate: { path: 'author', select: 'firstName lastName' } });
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found',
+        message: `No copy has barcode ${req.params.barcode}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: copy
+    });
+  } catch (error) {
+    console.error('Error fetching copy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// PATCH /copies/:barcode - branch, location, condition or shelf status (lost, in repair, ...)
+// Moving a copy between branches normally goes through /transfers; setting branch here is a correction
+const updateCopy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const copy = await findByBarcode(req.params.barcode);
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found',
+        message: `No copy has barcode ${req.params.barcode}`
+      });
+    }
+    
+    if ((req.body.status || req.body.branch !== undefined) && CIRCULATION_STATUSES.includes(copy.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Copy in circulation',
+        message: `This copy is ${copy.status.replace('_', ' ')}. Return it, cancel the hold or receive the transfer first.`
+      });
+    }
+    
+    const wasAvailable = copy.status === 'available';
+    ['branch', 'location', 'condition', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) copy[field] = req.body[field];
+    });
+    await copy.save();
+    
+    // Back from repair (or found again): the hold queue gets it first
+    const { copy: updated, hold } = !wasAvailable && copy.status === 'available'
+      ? await shelveCopy(copy)
+      : { copy, hold: null };
+    const availableCopies = await syncAvailableCopies(copy.book);
+    
+    res.status(200).json({
+      success: true,
+      message: hold ? 'Copy updated and set aside for the next hold' : 'Copy updated successfully',
+      data: updated,
+      availableCopies
+    });
+  } catch (error) {
+    console.error('Error updating copy:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// DELETE /copies/:barcode - withdraw a copy from the collection
+const deleteCopy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const copy = await Copy.findOneAndDelete({
+      barcode: req.params.barcode.toUpperCase(),
+      status: { $nin: CIRCULATION_STATUSES }
+    });
+    
+    if (!copy) {
+      const existing = await findByBarcode(req.params.barcode);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'Copy in circulation',
+          message: `This copy is ${existing.status.replace('_', ' ')} and cannot be withdrawn`
+        });
+      }
+      
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found',
+        message: `No copy has barcode ${req.params.barcode}`
+      });
+    }
+    
+    const availableCopies = await syncAvailableCopies(copy.book);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Copy withdrawn successfully',
+      data: {
+        id: copy._id,
+        barcode: copy.barcode,
+        book: copy.book
+      },
+      availableCopies
+    });
+  } catch (error) {
+    console.error('Error deleting copy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBookCopies,
+  addCopy,
+  getCopyByBarcode,
+  updateCopy,
+  deleteCopy
+};
\ No newline at end of file
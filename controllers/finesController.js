@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Fine = require('../models/fine');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const { outstandingFines, balanceFor } = require('../utils/fines');
+
+// GET /fines?user= - outstanding fines per loan
+const getFines = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Patrons only ever see their own fines
+    let userId = req.query.user;
+    if (!hasPermission(req.user.role, 'fines:manage')) {
+      userId = req.user._id;
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(200).json({
+          success: true,
+          count: 0,
+          total: 0,
+          data: []
+        });
+      }
+    }
+    
+    const fines = await outstandingFines(userId);
+    const total = fines.reduce((sum, fine) => sum + fine.balance, 0);
+    
+    res.status(200).json({
+      success: true,
+      count: fines.length,
+      total,
+      currency: 'cents',
+      data: fines
+    });
+  } catch (error) {
+    console.error('Error fetching fines:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Credits for one patron are applied one at a time, so two payments sent
+// together can't both be checked against the same balance. (Per process: run
+// a single API instance, or move this to a shared lock, if that changes.)
+const creditQueues = new Map();
+
+const oneAtATime = (key, fn) => {
+  const run = (creditQueues.get(key) || Promise.resolve()).catch(() => {}).then(fn);
+  creditQueues.set(key, run);
+  run.catch(() => {}).finally(() => {
+    if (creditQueues.get(key) === run) creditQueues.delete(key);
+  });
+  return run;
+};
+
+// Spread a credit (payment or waiver) over outstanding loans, oldest first
+const spreadCredit = async ({ type, userId, loanId, amount, note, recordedBy }) => {
+  let outstanding = await outstandingFines(userId);
+  if (loanId) {
+    outstanding = outstanding.filter(fine => fine.loan.toString() === loanId);
+  }
+  
+  const owed = outstanding.reduce((sum, fine) => sum + fine.balance, 0);
+  const credit = amount === undefined ? owed : amount;
+  
+  if (owed === 0 || credit > owed) {
+    return { error: owed === 0 ? 'Nothing is owed' : `Amount exceeds the ${owed} cents owed`, owed };
+  }
+  
+  const entries = [];
+  let remaining = credit;
+  for (const fine of outstanding) {
+    if (remaining === 0) break;
+    const portion = Math.min(remaining, fine.balance);
+    entries.push({
+      user: fine.user,
+      loan: fine.loan,
+      type,
+      amount: -portion,
+      note,
+      recordedBy
+    });
+    remaining -= portion;
+  }
+  
+  return { entries: await Fine.insertMany(entries), owed };
+};
+
+const applyCredit = (credit) => oneAtATime(String(credit.userId), () => spreadCredit(credit));
+
+const recordCredit = (type) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { userId, loanId, amount, note } = req.body;
+    
+    const result = await applyCredit({
+      type,
+      userId,
+      loanId,
+      amount,
+      note,
+      recordedBy: mongoose.isValidObjectId(req.user._id) ? req.user._id : null
+    });
+    
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: type === 'payment' ? 'Invalid payment' : 'Invalid waiver',
+        message: result.error,
+        owed: result.owed
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: type === 'payment' ? 'Payment recorded' : 'Fine waived',
+      data: {
+        entries: result.entries,
+        balance: await balanceFor(userId)
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording fine ${type}:`, error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        messages: messages
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /fines/payments
+const recordPayment = recordCredit('payment');
+
+// POST /fines/waive
+const waiveFine = recordCredit('waiver');
+
+module.exports = {
+  getFines,
+  recordPayment,
+  waiveFine
+};
\ No newline at end of file
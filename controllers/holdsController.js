@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Hold = require('../models/hold');
+const Book = require('../models/book');
+const Loan = require('../models/loan');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const { releaseCopy, queuePosition } = require('../utils/holdQueue');
+
+// POST /books/:id/holds
+const placeHold = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!mongoose.isValidObjectId(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registered account required',
+        message: 'Only users with a registered account can place holds'
+      });
+    }
+    
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Book not found'
+      });
+    }
+    
+    if (book.availableCopies > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Copies available',
+        message: 'This book has copies on the shelf - check it out instead'
+      });
+    }
+    
+    const onLoan = await Loan.exists({ book: book._id, user: req.user._id, status: { $in: ['active', 'overdue'] } });
+    if (onLoan) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already borrowed',
+        message: 'You already have this book on loan'
+      });
+    }
+    
+    const hold = await Hold.create({
+      book: book._id,
+      user: req.user._id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Hold placed successfully',
+      data: {
+        ...hold.toObject(),
+        position: await queuePosition(hold)
+      }
+    });
+  } catch (error) {
+    console.error('Error placing hold:', error);
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate Hold',
+        message: 'You already have a hold on this book'
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid book ID format'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// GET /users/me/holds - open holds with queue position
+const getMyHolds = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.user._id)) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        data: []
+      });
+    }
+    
+    const holds = await Hold.find({
+      user: req.user._id,
+      status: { $in: ['waiting', 'ready'] }
+    })
+      .populate('book', 'title isbn')
+      .sort({ createdAt: 1 })
+      .lean();
+    
+    // Ready holds are at the front of the line (position 0)
+    const data = await Promise.all(holds.map(async hold => ({
+      ...hold,
+      position: hold.status === 'ready' ? 0 : await queuePosition(hold)
+    })));
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching holds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /holds/:id/cancel
+const cancelHold = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const existing = await Hold.findById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hold not found'
+      });
+    }
+    
+    const isOwner = existing.user.toString() === String(req.user._id);
+    if (!isOwner && !hasPermission(req.user.role, 'loans:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the patron or a librarian can cancel this hold'
+      });
+    }
+    
+    // Returns the hold as it was before cancelling, so we know if a copy was set aside
+    const previous = await Hold.findOneAndUpdate(
+      { _id: existing._id, status: { $in: ['waiting', 'ready'] } },
+      { status: 'cancelled', closedAt: new Date() }
+    );
+    
+    if (!previous) {
+      return res.status(409).json({
+        success: false,
+        error: 'Hold not open',
+        message: `This hold is already ${existing.status}`
+      });
+    }
+    
+    // A copy set aside for this hold goes to the next patron
+    if (previous.status === 'ready' && previous.copy) {
+      await releaseCopy(previous.copy);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Hold cancelled',
+      data: {
+        id: previous._id,
+        book: previous.book,
+        status: 'cancelled'
+      }
+    });
+  } catch (error) {
+    console.error('Error cancelling hold:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid hold ID format'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  placeHold,
+  getMyHolds,
+  cancelHold
+};
\ No newline at end of file
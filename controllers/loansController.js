@@ -0,0 +1,509 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/loan');
+const Book = require('../models/book');
+const Copy = require('../models/copy');
+const Hold = require('../models/hold');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const circulation = require('../config/circulation');
+const { releaseCopy, claimReadyHold } = require('../utils/holdQueue');
+const { syncAvailableCopies } = require('../utils/inventory');
+const { accrueFine, balanceFor } = require('../utils/fines');
+const { recordAudit } = require('../utils/audit');
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Librarians/admins can act on any loan, patrons only on their own
+const canManageLoans = (user) => !!user && hasPermission(user.role, 'loans:manage');
+const ownsLoan = (loan, user) => !!user && loan.user.toString() === String(user._id);
+
+// Pick the copy a borrower gets and mark it on loan.
+// Returns { copy, hold } or { status, body } describing why not.
+const reserveCopy = async ({ bookId, scanned, borrowerId }) => {
+  // Copies of a book in the trash don't circulate
+  if (!(await Book.exists({ _id: scanned ? scanned.book : bookId }))) {
+    return { status: 404, body: { success: false, error: 'Book not found' } };
+  }
+  
+  if (scanned) {
+    // Desk scan of a copy set aside for a hold: only its patron can take it
+    if (scanned.status === 'on_hold') {
+      const hold = await claimReadyHold(scanned.book, borrowerId, scanned._id);
+      if (!hold) {
+        return {
+          status: 409,
+          body: { success: false, error: 'Copy on hold', message: 'This copy is set aside for another patron' }
+        };
+      }
+      const copy = await Copy.findByIdAndUpdate(scanned._id, { status: 'on_loan' }, { new: true });
+      return { copy, hold };
+    }
+    
+    const copy = await Copy.findOneAndUpdate(
+      { _id: scanned._id, status: 'available' },
+      { status: 'on_loan' },
+      { new: true }
+    );
+    if (!copy) {
+      return {
+        status: 409,
+        body: { success: false, error: 'Copy not available', message: `This copy is ${scanned.status.replace('_', ' ')}` }
+      };
+    }
+    return { copy };
+  }
+  
+  // A copy set aside for the borrower's hold comes first
+  const hold = await claimReadyHold(bookId, borrowerId);
+  if (hold && hold.copy) {
+    const copy = await Copy.findByIdAndUpdate(hold.copy, { status: 'on_loan' }, { new: true });
+    return { copy, hold };
+  }
+  
+  // Otherwise atomically take any copy on the shelf
+  const copy = await Copy.findOneAndUpdate(
+    { book: bookId, status: 'available' },
+    { status: 'on_loan' },
+    { new: true }
+  );
+  if (!copy) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'No copies available',
+        message: 'All copies of this book are on loan or on hold. Place a hold with POST /books/{id}/holds'
+      }
+    };
+  }
+  return { copy, hold };
+};
+
+// Shared by checkout by book ID and checkout by barcode
+const startLoan = async (req, res, { bookId, scanned }) => {
+  // Librarians can check out on behalf of a patron
+  const borrowerId = req.body.userId && canManageLoans(req.user)
+    ? req.body.userId
+    : req.user._id;
+  
+  if (!mongoose.isValidObjectId(borrowerId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Registered account required',
+      message: 'Only users with a registered account can borrow books'
+    });
+  }
+  
+  // Patrons with too many unpaid fines can't borrow
+  const balance = await balanceFor(borrowerId);
+  if (balance > circulation.fineBlockThresholdCents) {
+    return res.status(403).json({
+      success: false,
+      error: 'Checkout blocked',
+      message: `Outstanding fines of ${balance} cents exceed the ${circulation.fineBlockThresholdCents} cent limit`,
+      balance
+    });
+  }
+  
+  const reserved = await reserveCopy({ bookId, scanned, borrowerId });
+  if (!reserved.copy) {
+    return res.status(reserved.status).json(reserved.body);
+  }
+  
+  const { copy, hold } = reserved;
+  
+  let loan;
+  try {
+    loan = await Loan.create({
+      book: copy.book,
+      copy: copy._id,
+      user: borrowerId,
+      dueDate: addDays(new Date(), circulation.loanPeriodDays),
+      maxRenewals: circulation.maxRenewals,
+      checkedOutBy: String(borrowerId) === String(req.user._id) ? null : req.user._id
+    });
+  } catch (error) {
+    // Put the copy back if the loan couldn't be recorded
+    if (hold) {
+      await Hold.findByIdAndUpdate(hold._id, { status: 'ready', closedAt: null });
+      await Copy.findByIdAndUpdate(copy._id, { status: 'on_hold' });
+    } else {
+      await Copy.findByIdAndUpdate(copy._id, { status: 'available' });
+    }
+    throw error;
+  }
+  await recordAudit(req, { entity: 'loan', action: 'create', after: loan });
+  
+  const availableCopies = await syncAvailableCopies(copy.book);
+  
+  res.status(201).json({
+    success: true,
+    message: 'Book checked out successfully',
+    data: {
+      loan,
+      barcode: copy.barcode,
+      fromHold: !!hold,
+      availableCopies
+    }
+  });
+};
+
+// Shared by return by loan ID and return by barcode
+const endLoan = async (req, res, existing) => {
+  if (!ownsLoan(existing, req.user) && !canManageLoans(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Only the borrower or a librarian can return this loan'
+    });
+  }
+  
+  // Only one return can win, even if the desk scans twice
+  const loan = await Loan.findOneAndUpdate(
+    { _id: existing._id, status: { $in: ['active', 'overdue'] } },
+    { status: 'returned', returnedAt: new Date() },
+    { new: true }
+  );
+  
+  if (!loan) {
+    return res.status(409).json({
+      success: false,
+      error: 'Loan already returned',
+      message: `This loan was returned on ${existing.returnedAt?.toISOString()}`
+    });
+  }
+  
+  // Final fine for late returns (the overdue job may not have run today)
+  await accrueFine(loan, loan.returnedAt);
+  
+  // The copy goes to the next hold in line, or back on the shelf
+  const nextHold = loan.copy ? await releaseCopy(loan.copy) : null;
+  
+  const returned = await Loan.findById(loan._id);
+  await recordAudit(req, { entity: 'loan', action: 'update', before: existing, after: returned });
+  
+  res.status(200).json({
+    success: true,
+    message: nextHold
+      ? 'Book returned and set aside for the next hold'
+      : 'Book returned successfully',
+    data: returned
+  });
+};
+
+// Error responses shared by the checkout/return handlers
+const handleCirculationError = (res, error, action) => {
+  console.error(`Error ${action}:`, error);
+  
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid ID format'
+    });
+  }
+  
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      messages: messages
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: error.message
+  });
+};
+
+// POST /books/:id/checkout
+const checkoutBook = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    await startLoan(req, res, { bookId: req.params.id });
+  } catch (error) {
+    handleCirculationError(res, error, 'checking out book');
+  }
+};
+
+// POST /copies/:barcode/checkout
+const checkoutCopy = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const copy = await Copy.findOne({ barcode: req.params.barcode.toUpperCase() });
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found',
+        message: `No copy has barcode ${req.params.barcode}`
+      });
+    }
+    
+    await startLoan(req, res, { scanned: copy });
+  } catch (error) {
+    handleCirculationError(res, error, 'checking out copy');
+  }
+};
+
+// POST /loans/:id/return
+const returnLoan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const existing = await Loan.findById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Loan not found'
+      });
+    }
+    
+    await endLoan(req, res, existing);
+  } catch (error) {
+    handleCirculationError(res, error, 'returning loan');
+  }
+};
+
+// POST /copies/:barcode/return
+const returnCopy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const copy = await Copy.findOne({ barcode: req.params.barcode.toUpperCase() });
+    
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found',
+        message: `No copy has barcode ${req.params.barcode}`
+      });
+    }
+    
+    const existing = await Loan.findOne({ copy: copy._id, status: { $in: ['active', 'overdue'] } });
+    
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Copy not on loan',
+        message: `This copy is ${copy.status.replace('_', ' ')}`
+      });
+    }
+    
+    await endLoan(req, res, existing);
+  } catch (error) {
+    handleCirculationError(res, error, 'returning copy');
+  }
+};
+
+// Why a loan can't be renewed right now, as { status, body }, or null if it can
+const renewalRefusal = async (loan) => {
+  if (loan.status === 'returned') {
+    return { status: 409, body: { success: false, error: 'Loan not active', message: 'Returned loans cannot be renewed' } };
+  }
+  
+  if (loan.status === 'overdue' || loan.dueDate < new Date()) {
+    return { status: 409, body: { success: false, error: 'Loan overdue', message: 'Overdue loans cannot be renewed' } };
+  }
+  
+  const waiting = await Hold.countDocuments({ book: loan.book, status: 'waiting' });
+  if (waiting > 0) {
+    return {
+      status: 409,
+      body: { success: false, error: 'Book on hold', message: `${waiting} patron(s) are waiting for this book, so it cannot be renewed` }
+    };
+  }
+  
+  if (loan.renewals >= loan.maxRenewals) {
+    return {
+      status: 409,
+      body: { success: false, error: 'Renewal limit reached', message: `This loan has already been renewed ${loan.renewals} time(s)` }
+    };
+  }
+  
+  return null;
+};
+
+// POST /loans/:id/renew
+const renewLoan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const loan = await Loan.findById(req.params.id);
+    
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Loan not found'
+      });
+    }
+    
+    if (!ownsLoan(loan, req.user) && !canManageLoans(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only the borrower or a librarian can renew this loan'
+      });
+    }
+    
+    const refusal = await renewalRefusal(loan);
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+    
+    // Check and renew in one step, pinned to the renewal count and due date
+    // just checked, so concurrent renewals can't pass maxRenewals or push the
+    // due date twice
+    const renewed = await Loan.findOneAndUpdate(
+      {
+        _id: loan._id,
+        status: 'active',
+        renewals: loan.renewals,
+        dueDate: { $eq: loan.dueDate, $gte: new Date() }
+      },
+      {
+        $inc: { renewals: 1 },
+        $set: { dueDate: addDays(loan.dueDate, circulation.loanPeriodDays) }
+      },
+      { new: true }
+    );
+    
+    if (!renewed) {
+      const current = await Loan.findById(loan._id);
+      const reason = (current && await renewalRefusal(current)) || {
+        status: 409,
+        body: { success: false, error: 'Loan changed', message: 'This loan was renewed or returned at the same time. Fetch it again and retry.' }
+      };
+      return res.status(reason.status).json(reason.body);
+    }
+    await recordAudit(req, { entity: 'loan', action: 'update', before: loan, after: renewed });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Loan renewed successfully',
+      data: renewed
+    });
+  } catch (error) {
+    console.error('Error renewing loan:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid loan ID format'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// GET /loans?user=&status=
+const getLoans = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { page = 1, limit = 10, user, status } = req.query;
+    
+    const filter = {};
+    if (status) filter.status = status;
+    
+    // Patrons only ever see their own loans
+    if (canManageLoans(req.user)) {
+      if (user) filter.user = user;
+    } else {
+      if (!mongoose.isValidObjectId(req.user._id)) {
+        return res.status(200).json({
+          success: true,
+          count: 0,
+          total: 0,
+          totalPages: 0,
+          currentPage: parseInt(page),
+          data: []
+        });
+      }
+      filter.user = req.user._id;
+    }
+    
+    const loans = await Loan.find(filter)
+      .populate('book', 'title isbn')
+      .populate('copy', 'barcode location')
+      .populate('user', 'displayName email')
+      .sort({ checkedOutAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+    
+    const total = await Loan.countDocuments(filter);
+    
+    res.status(200).json({
+      success: true,
+      count: loans.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: loans
+    });
+  } catch (error) {
+    console.error('Error fetching loans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  checkoutBook,
+  checkoutCopy,
+  returnLoan,
+  returnCopy,
+  renewLoan,
+  getLoans
+};
\ No newline at end of file
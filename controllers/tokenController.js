@@ -0,0 +1,217 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  hashApiKey,
+  generateApiKey,
+  issueTokenPair,
+  verifyToken,
+  revokeAccessToken,
+  revokeRefreshFamily
+} = require('../utils/tokens');
+
+// Strip internal fields before sending a token pair to the client
+const formatTokenPair = ({ refreshJti, ...pair }) => pair;
+
+// POST /auth/token - exchange a logged-in session or API key for tokens
+const createToken = async (req, res) => {
+  try {
+    let user = null;
+    
+    if (req.isAuthenticated && req.isAuthenticated()) {
+      user = req.user;
+    } else {
+      const apiKey = req.body.apiKey || req.headers['x-api-key'];
+      if (apiKey) {
+        user = await User.findOne({ apiKeyHash: hashApiKey(apiKey) });
+      }
+    }
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Log in with OAuth or provide a valid API key'
+      });
+    }
+    
+    const tokens = await issueTokenPair(user);
+    
+    res.status(201).json({
+      success: true,
+      data: formatTokenPair(tokens)
+    });
+  } catch (error) {
+    console.error('Error issuing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /auth/token/refresh - rotate a refresh token
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token required',
+        message: 'Please provide refreshToken in the request body'
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = await verifyToken(token, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: error.message
+      });
+    }
+    
+    // Claim the token atomically so it can only be rotated once
+    const record = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, revokedAt: null, replacedBy: null },
+      { revokedAt: new Date() }
+    );
+    
+    if (!record) {
+      // A rotated or revoked token was presented again - assume it leaked
+      await revokeRefreshFamily(decoded.family);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'Refresh token has already been used or revoked. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(decoded.sub);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'User no longer exists'
+      });
+    }
+    
+    const tokens = await issueTokenPair(user, record.family);
+    record.replacedBy = tokens.refreshJti;
+    await record.save();
+    
+    res.status(200).json({
+      success: true,
+      data: formatTokenPair(tokens)
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /auth/token/revoke - revoke the bearer access token and/or a refresh token
+const revokeToken = async (req, res) => {
+  try {
+    const accessToken = req.headers.authorization?.split(' ')[1];
+    const { refreshToken: token } = req.body;
+    const revoked = [];
+    
+    if (!accessToken && !token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token required',
+        message: 'Send a Bearer access token and/or refreshToken in the body'
+      });
+    }
+    
+    try {
+      if (accessToken) {
+        const decoded = await verifyToken(accessToken, 'access');
+        await revokeAccessToken(decoded);
+        revoked.push('access');
+      }
+      
+      if (token) {
+        const decoded = await verifyToken(token, 'refresh');
+        await revokeRefreshFamily(decoded.family);
+        revoked.push('refresh');
+      }
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        message: error.message
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Token(s) revoked',
+      revoked
+    });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /auth/api-key - generate (or replace) the current user's API key
+const createApiKey = async (req, res) => {
+  try {
+    const apiKey = generateApiKey();
+    
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { apiKeyHash: hashApiKey(apiKey) },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'No account exists for the current session'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it will not be shown again.',
+      data: { apiKey }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createToken,
+  refreshToken,
+  revokeToken,
+  createApiKey
+};
\ No newline at end of file
@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const Transfer = require('../models/transfer');
+const Branch = require('../models/branch');
+const Copy = require('../models/copy');
+const { validationResult } = require('express-validator');
+const { syncAvailableCopies } = require('../utils/inventory');
+const { releaseCopy } = require('../utils/holdQueue');
+
+// Statuses a copy can be shipped from
+const SHELF_STATUSES = ['available', 'in_repair'];
+
+const populateTransfer = (query) => query
+  .populate('copy', 'barcode book status')
+  .populate('fromBranch', 'code name')
+  .populate('toBranch', 'code name');
+
+// GET /transfers?status=&branch=
+const getTransfers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { status, branch } = req.query;
+    
+    const filter = {};
+    if (status) filter.status = status;
+    if (branch) {
+      const found = await Branch.findByIdOrCode(branch);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          error: 'Branch not found'
+        });
+      }
+      filter.$or = [{ fromBranch: found._id }, { toBranch: found._id }];
+    }
+    
+    const transfers = await populateTransfer(Transfer.find(filter)).sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /transfers - request moving a copy to another branch
+const createTransfer = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  
+  try {
+    const copy = await Copy.findOne({ barcode: req.body.barcode.toUpperCase() });
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Copy not found',
+        message: `No copy has barcode ${req.body.barcode}`
+      });
+    }
+    
+    const toBranch = await Branch.findByIdOrCode(req.body.toBranch);
+    if (!toBranch || !toBranch.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid destination',
+        message: 'Destination branch does not exist or is inactive'
+      });
+    }
+    
+    if (copy.branch && copy.branch.equals(toBranch._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid destination',
+        message: `Copy is already at ${toBranch.code}`
+      });
+    }
+    
+    if (copy.status === 'lost') {
+      return res.status(409).json({
+        success: false,
+        error: 'Copy lost',
+        message: 'Lost copies cannot be transferred'
+      });
+    }
+    
+    const transfer = await Transfer.create({
+      copy: copy._id,
+      fromBranch: copy.branch,
+      toBranch: toBranch._id,
+      note: req.body.note,
+      requestedBy: mongoose.isValidObjectId(req.user._id) ? req.user._id : null
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Transfer requested',
+      data: await populateTransfer(Transfer.findById(transfer._id))
+    });
+  } catch (error) {
+    console.error('Error creating transfer:', error);
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate Transfer',
+        message: 'This copy already has an open transfer'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Move a transfer from one status to the next; returns the updated transfer
+// or sends the error response and returns null
+const advanceTransfer = async (req, res, from, update) => {
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: req.params.id, status: from },
+    update,
+    { new: true }
+  );
+  
+  if (!transfer) {
+    const existing = await Transfer.findById(req.params.id);
+    if (!existing) {
+      res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    } else {
+      res.status(409).json({
+        success: false,
+        error: 'Invalid transfer state',
+        message: `Transfer is ${existing.status.replace('_', ' ')}, expected ${from.replace('_', ' ')}`
+      });
+    }
+    return null;
+  }
+  
+  return transfer;
+};
+
+// POST /transfers/:id/ship - copy leaves the shelf and goes in transit
+const shipTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Claim the transfer before the copy, so a concurrent cancel or ship
+    // can never leave the copy stuck in transit
+    const transfer = await advanceTransfer(req, res, 'requested', { status: 'in_transit', shippedAt: new Date() });
+    if (!transfer) return;
+    
+    // Only copies on the shelf can be shipped; the old status comes back on receive
+    const shelved = await Copy.findOneAndUpdate(
+      { _id: transfer.copy, status: { $in: SHELF_STATUSES } },
+      { status: 'in_transit' }
+    );
+    if (!shelved) {
+      await Transfer.updateOne({ _id: transfer._id, status: 'in_transit' }, { status: 'requested', shippedAt: null });
+      return res.status(409).json({
+        success: false,
+        error: 'Copy not on the shelf',
+        message: 'The copy is on loan or on hold. Ship it after it comes back.'
+      });
+    }
+    
+    await Transfer.updateOne({ _id: transfer._id }, { shelfStatus: shelved.status });
+    await syncAvailableCopies(shelved.book);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Transfer shipped',
+      data: await populateTransfer(Transfer.findById(transfer._id))
+    });
+  } catch (error) {
+    console.error('Error shipping transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /transfers/:id/receive - copy arrives and joins the destination branch
+const receiveTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const transfer = await advanceTransfer(req, res, 'in_transit', { status: 'received', receivedAt: new Date() });
+    if (!transfer) return;
+    
+    // A copy shipped while in repair is still in repair when it arrives
+    if (transfer.shelfStatus === 'in_repair') {
+      const copy = await Copy.findByIdAndUpdate(transfer.copy, { branch: transfer.toBranch, status: 'in_repair' });
+      if (copy) await syncAvailableCopies(copy.book);
+    } else {
+      await Copy.updateOne({ _id: transfer.copy }, { branch: transfer.toBranch });
+      // Back in circulation: next hold in line, or the shelf
+      await releaseCopy(transfer.copy);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Transfer received',
+      data: await populateTransfer(Transfer.findById(transfer._id))
+    });
+  } catch (error) {
+    console.error('Error receiving transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+// POST /transfers/:id/cancel - only before shipping
+const cancelTransfer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const transfer = await advanceTransfer(req, res, 'requested', { status: 'cancelled' });
+    if (!transfer) return;
+    
+    res.status(200).json({
+      success: true,
+      message: 'Transfer cancelled',
+      data: transfer
+    });
+  } catch (error) {
+    console.error('Error cancelling transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTransfers,
+  createTransfer,
+  shipTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
\ No newline at end of file
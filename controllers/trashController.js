@@ -0,0 +1,67 @@
+const Book = require('../models/book');
+const Author = require('../models/author');
+const { validationResult } = require('express-validator');
+const { paginate } = require('../utils/pagination');
+const { purgeDateFor } = require('../utils/trash');
+
+const TRASH_MODELS = {
+  books: {
+    model: Book,
+    decorate: (query) => query.populate('author', 'firstName lastName').populate('deletedBy', 'displayName email').lean()
+  },
+  authors: {
+    model: Author,
+    decorate: (query) => query.populate('deletedBy', 'displayName email').lean()
+  }
+};
+
+// GET trash - deleted books or authors, most recently deleted first, each with
+// the date the purge job will remove it
+const getTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const type = req.query.type || 'books';
+    const { model, decorate } = TRASH_MODELS[type];
+    const filter = { deletedAt: { $ne: null } };
+    
+    const page = await paginate(req, res, {
+      model,
+      filter,
+      sort: { deletedAt: -1, _id: -1 },
+      decorate
+    });
+    if (!page.data) {
+      return res.status(page.status).json(page.body);
+    }
+    
+    const total = await model.countDocuments(filter);
+    
+    res.status(200).json({
+      success: true,
+      type,
+      count: page.data.length,
+      total,
+      pagination: page.pagination,
+      data: page.data.map(item => ({ ...item, purgeAt: purgeDateFor(item.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  TRASH_TYPES: Object.keys(TRASH_MODELS),
+  getTrash
+};
\ No newline at end of file
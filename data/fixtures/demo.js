@@ -0,0 +1,141 @@
+// Demo fixture set: the minimal set plus more authors, a spread of genres and
+// two branches, with copies split between them.
+const minimal = require('./minimal');
+
+module.exports = {
+  branches: [
+    { code: 'MAIN', name: 'Main Library', address: '1 Library Square' },
+    { code: 'EAST', name: 'Eastside Branch', address: '42 Market Street' }
+  ],
+  authors: [
+    ...minimal.authors,
+    {
+      firstName: 'George',
+      lastName: 'Orwell',
+      nationality: 'British',
+      birthDate: '1903-06-25',
+      deathDate: '1950-01-21',
+      genres: ['Fiction', 'Non-Fiction'],
+      awards: []
+    },
+    {
+      firstName: 'Jane',
+      lastName: 'Austen',
+      nationality: 'British',
+      birthDate: '1775-12-16',
+      deathDate: '1817-07-18',
+      genres: ['Fiction'],
+      awards: []
+    },
+    {
+      firstName: 'Frank',
+      lastName: 'Herbert',
+      nationality: 'American',
+      birthDate: '1920-10-08',
+      deathDate: '1986-02-11',
+      genres: ['Science Fiction'],
+      awards: ['Hugo Award', 'Nebula Award']
+    },
+    {
+      firstName: 'J. R. R.',
+      lastName: 'Tolkien',
+      nationality: 'British',
+      birthDate: '1892-01-03',
+      deathDate: '1973-09-02',
+      genres: ['Fantasy'],
+      awards: []
+    },
+    {
+      firstName: 'Yuval Noah',
+      lastName: 'Harari',
+      nationality: 'Israeli',
+      birthDate: '1976-02-24',
+      genres: ['History', 'Non-Fiction'],
+      awards: []
+    },
+    {
+      firstName: 'Gabriel',
+      lastName: 'García Márquez',
+      nationality: 'Colombian',
+      birthDate: '1927-03-06',
+      deathDate: '2014-04-17',
+      genres: ['Fiction'],
+      awards: ['Nobel Prize in Literature']
+    }
+  ],
+  books: [
+    ...minimal.books,
+    {
+      title: '1984',
+      author: 'George Orwell',
+      isbn: '9780451524935',
+      genre: 'Fiction',
+      publicationYear: 1949,
+      publisher: 'Signet Classics',
+      pageCount: 328,
+      language: 'English',
+      description: 'A dystopian novel about surveillance, propaganda and a totalitarian state.',
+      copies: 6
+    },
+    {
+      title: 'Pride and Prejudice',
+      author: 'Jane Austen',
+      isbn: '9780141439518',
+      genre: 'Fiction',
+      publicationYear: 1813,
+      publisher: 'Penguin Classics',
+      pageCount: 480,
+      language: 'English',
+      description: 'Elizabeth Bennet and Mr. Darcy navigate manners, marriage and misjudgement in Regency England.',
+      copies: 4
+    },
+    {
+      title: 'Dune',
+      author: 'Frank Herbert',
+      isbn: '9780441172719',
+      genre: 'Science Fiction',
+      publicationYear: 1965,
+      publisher: 'Ace Books',
+      pageCount: 535,
+      language: 'English',
+      description: "Paul Atreides and the desert planet Arrakis, source of the universe's most valuable substance.",
+      copies: 5
+    },
+    {
+      title: 'The Hobbit',
+      author: 'J. R. R. Tolkien',
+      isbn: '9780547928227',
+      genre: 'Fantasy',
+      publicationYear: 1937,
+      publisher: 'Houghton Mifflin Harcourt',
+      pageCount: 300,
+      language: 'English',
+      description: "Bilbo Baggins is swept into a quest to reclaim the dwarves' treasure from the dragon Smaug.",
+      copies: 3
+    },
+    {
+      title: 'Sapiens: A Brief History of Humankind',
+      author: 'Yuval Noah Harari',
+      isbn: '9780062316097',
+      genre: 'History',
+      publicationYear: 2011,
+      publisher: 'Harper',
+      pageCount: 464,
+      language: 'English',
+      description: 'How Homo sapiens came to dominate the planet, from the Cognitive Revolution to today.',
+      copies: 2
+    },
+    {
+      title: 'One Hundred Years of Solitude',
+      author: 'Gabriel García Márquez',
+      isbn: '9780060883287',
+      genre: 'Fiction',
+      publicationYear: 1967,
+      publisher: 'Harper Perennial',
+      pageCount: 417,
+      language: 'English',
+      description: 'Seven generations of the Buendía family in the town of Macondo.',
+      copies: 0
+    }
+  ]
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Large generated fixture set for load testing: `count` books over count/5
+// authors. Generation is deterministic, so re-seeding upserts the same records.
+const { isbn13CheckDigit } = require('../../utils/isbn');
+
+const FIRST_NAMES = ['Ada', 'Ben', 'Chloe', 'Dmitri', 'Elena', 'Farid', 'Grace', 'Hiro', 'Ines', 'Jonas', 'Kemi', 'Liam', 'Mara', 'Nils', 'Olga', 'Pedro', 'Quinn', 'Rosa', 'Sven', 'Tara'];
+const LAST_NAMES = ['Abbott', 'Brennan', 'Castillo', 'Dubois', 'Eriksen', 'Fischer', 'Gallo', 'Hughes', 'Ito', 'Jensen', 'Kowalski', 'Lindqvist', 'Moreau', 'Novak', 'Okafor', 'Petrov', 'Quint', 'Rossi', 'Sato', 'Turner'];
+const NATIONALITIES = ['American', 'British', 'Canadian', 'French', 'German', 'Japanese', 'Nigerian', 'Swedish'];
+const GENRES = ['Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 'Biography', 'History', 'Self-Help', 'Other'];
+const LANGUAGES = ['English', 'English', 'English', 'Spanish', 'French', 'German'];
+const PUBLISHERS = ['Penguin Random House', 'HarperCollins', 'Macmillan', 'Hachette', 'Simon & Schuster', 'Orbit', 'Tor Books', 'Vintage'];
+const TITLE_WORDS = ['Silent', 'River', 'Empire', 'Glass', 'Winter', 'Garden', 'Shadow', 'Light', 'Iron', 'Harbor', 'Storm', 'Echo', 'Lantern', 'Orchard', 'Machine', 'Crown', 'Tide', 'Ember', 'Atlas', 'Meridian'];
+
+// Small seeded PRNG (mulberry32) so every run produces the same data
+const random = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+module.exports = ({ count = 1000 } = {}) => {
+  const next = random(341);
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const between = (min, max) => min + Math.floor(next() * (max - min + 1));
+  
+  const authorCount = Math.max(1, Math.ceil(count / 5));
+  const authors = Array.from({ length: authorCount }, (_, i) => ({
+    firstName: FIRST_NAMES[i % FIRST_NAMES.length],
+    // Suffix keeps names unique once every first/last combination is used
+    lastName: `${LAST_NAMES[Math.floor(i / FIRST_NAMES.length) % LAST_NAMES.length]}${i >= 400 ? ` ${Math.floor(i / 400) + 1}` : ''}`,
+    nationality: pick(NATIONALITIES),
+    birthDate: `${between(1900, 1995)}-${String(between(1, 12)).padStart(2, '0')}-${String(between(1, 28)).padStart(2, '0')}`,
+    genres: [pick(GENRES)],
+    awards: []
+  }));
+  
+  const books = Array.from({ length: count }, (_, i) => {
+    const author = authors[i % authorCount];
+    // 978-99 is not assigned to any real publisher group
+    const first12 = `97899${String(i).padStart(7, '0')}`;
+    return {
+      title: `The ${pick(TITLE_WORDS)} ${pick(TITLE_WORDS)} ${i + 1}`,
+      author: `${author.firstName} ${author.lastName}`,
+      isbn: first12 + isbn13CheckDigit(first12),
+      genre: pick(GENRES),
+      publicationYear: between(1900, new Date().getFullYear()),
+      publisher: pick(PUBLISHERS),
+      pageCount: between(80, 900),
+      language: pick(LANGUAGES),
+      description: `Generated book ${i + 1} for load testing.`,
+      copies: between(0, 5)
+    };
+  });
+  
+  return {
+    branches: [
+      { code: 'MAIN', name: 'Main Library', address: '1 Library Square' },
+      { code: 'EAST', name: 'Eastside Branch', address: '42 Market Street' },
+      { code: 'WEST', name: 'Westside Branch', address: '7 Harbor Road' }
+    ],
+    authors,
+    books
+  };
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Minimal fixture set: two authors and two books, enough to try every endpoint.
+// Books name their author as "First Last"; copies is the number of copies to create.
+module.exports = {
+  branches: [],
+  authors: [
+    {
+      firstName: 'F. Scott',
+      lastName: 'Fitzgerald',
+      nationality: 'American',
+      birthDate: '1896-09-24',
+      deathDate: '1940-12-21',
+      genres: ['Fiction'],
+      awards: ['None']
+    },
+    {
+      firstName: 'Harper',
+      lastName: 'Lee',
+      nationality: 'American',
+      birthDate: '1926-04-28',
+      deathDate: '2016-02-19',
+      genres: ['Fiction'],
+      awards: ['Pulitzer Prize']
+    }
+  ],
+  books: [
+    {
+      title: 'The Great Gatsby',
+      author: 'F. Scott Fitzgerald',
+      isbn: '9780743273565',
+      genre: 'Fiction',
+      publicationYear: 1925,
+      publisher: "Charles Scribner's Sons",
+      pageCount: 180,
+      language: 'English',
+      description: 'A novel about the American Dream during the Jazz Age',
+      copies: 10
+    },
+    {
+      title: 'To Kill a Mockingbird',
+      author: 'Harper Lee',
+      isbn: '9780061120084',
+      genre: 'Fiction',
+      publicationYear: 1960,
+      publisher: 'J.B. Lippincott & Co.',
+      pageCount: 281,
+      language: 'English',
+      description: 'A novel about racial injustice in the American South',
+      copies: 8
+    }
+  ]
+};
\ No newline at end of file
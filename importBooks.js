@@ -0,0 +1,65 @@
+// Bulk import books from a CSV, JSON lines or JSON file (see utils/bookImport.js)
+//
+//   npm run import -- books.csv [--dry-run] [--format=csv|jsonl|json]
+//
+// Runs with admin rights: existing books are updated whoever owns them, and
+// new books have no owner.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { FORMATS, parseImport, importBooks } = require('./utils/bookImport');
+require('dotenv').config();
+
+const CLI_USER = { _id: null, role: 'admin', displayName: 'Import CLI' };
+
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.json': 'json'
+};
+
+const usage = () => {
+  console.error('Usage: npm run import -- <file> [--dry-run] [--format=csv|jsonl|json]');
+  process.exit(2);
+};
+
+const runImport = async () => {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const formatArg = args.find(arg => arg.startsWith('--format='));
+  
+  if (!file) usage();
+  
+  const format = formatArg ? formatArg.split('=')[1] : EXTENSIONS[path.extname(file).toLowerCase()];
+  if (!FORMATS.includes(format)) {
+    console.error(`❌ Can't tell the format of ${file}; pass --format=csv|jsonl|json`);
+    usage();
+  }
+  
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    const rows = parseImport(text, format);
+    
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB. Importing ${rows.length} row(s) from ${file}${dryRun ? ' (dry run)' : ''}...`);
+    
+    const report = await importBooks(rows, { dryRun, user: CLI_USER, route: 'npm run import' });
+    
+    report.rows
+      .filter(row => row.status === 'error')
+      .forEach(row => console.log(`  row ${row.row}${row.isbn ? ` (${row.isbn})` : ''}: ${row.errors.join('; ')}`));
+    
+    console.log(`Created ${report.created}, updated ${report.updated}, unchanged ${report.unchanged}, failed ${report.failed}; ${report.authorsCreated} new author(s)`);
+    console.log(dryRun ? 'Dry run: nothing was saved' : (report.failed === 0 ? '✅ Import complete' : '⚠️  Import finished with errors'));
+    
+    await mongoose.disconnect();
+    process.exit(report.failed === 0 ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error importing books:', error);
+    process.exit(1);
+  }
+};
+
+runImport();
\ No newline at end of file
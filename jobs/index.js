@@ -0,0 +1,46 @@
+// jobs/index.js - background jobs that run inside the server process
+const mongoose = require('mongoose');
+const circulation = require('../config/circulation');
+const { expireHolds } = require('../utils/holdQueue');
+const { processOverdueLoans } = require('../utils/fines');
+const { purgeTrash } = require('../utils/trash');
+const trash = require('../config/trash');
+
+const timers = [];
+
+// Run task every intervalMinutes; skipped while the database is unavailable
+const schedule = (name, intervalMinutes, task) => {
+  const run = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+    
+    try {
+      const result = await task();
+      if (result) {
+        console.log(`⏰ Job "${name}" processed ${result} item(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Job "${name}" failed:`, error.message);
+    }
+  };
+  
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for jobs
+  timer.unref();
+  timers.push(timer);
+  console.log(`⏰ Job "${name}" scheduled every ${intervalMinutes} minute(s)`);
+};
+
+const startJobs = () => {
+  schedule('hold expiry', circulation.holdExpiryIntervalMinutes, expireHolds);
+  schedule('overdue loans', circulation.overdueCheckIntervalMinutes, processOverdueLoans);
+  schedule('trash purge', trash.purgeIntervalMinutes, purgeTrash);
+};
+
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// middleware/authorValidation.js - express-validator rules for author bodies
+// (mirrors authorSchema in models/author.js), shared by PUT and PATCH /authors/{id}
+const { body } = require('express-validator');
+
+const validateAuthor = [
+  body('firstName').notEmpty().withMessage('First name is required').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
+  body('lastName').notEmpty().withMessage('Last name is required').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
+  body('nationality').notEmpty().withMessage('Nationality is required').trim(),
+  body('birthDate').isISO8601().withMessage('Birth date must be a valid date (YYYY-MM-DD)'),
+  body('deathDate').optional({ values: 'falsy' }).isISO8601().withMessage('Death date must be a valid date (YYYY-MM-DD)'),
+  body('biography').optional().isLength({ max: 2000 }).withMessage('Biography cannot exceed 2000 characters'),
+  body('website').optional({ values: 'falsy' }).matches(/^https?:\/\/.+/).withMessage('Please enter a valid URL'),
+  body('genres').optional().isArray().withMessage('Genres must be an array'),
+  body('genres.*').isIn(['Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 'Biography', 'History', 'Self-Help', 'Other']),
+  body('awards').optional().isArray().withMessage('Awards must be an array'),
+  body('awards.*').isString().trim()
+];
+
+module.exports = {
+  validateAuthor
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+// middleware/bookValidation.js - express-validator rules for book bodies, shared by
+// the book routes and the bulk importer (utils/bookImport.js)
+const { body } = require('express-validator');
+const { isValidIsbn } = require('../utils/isbn');
+
+const GENRES = ['Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 'Biography', 'History', 'Self-Help', 'Other'];
+
+const validateBook = [
+  body('title').notEmpty().withMessage('Title is required').trim().isLength({ min: 2 }),
+  body('author').isMongoId().withMessage('Valid author ID is required'),
+  body('isbn').notEmpty().withMessage('ISBN is required').custom(isValidIsbn).withMessage('ISBN must be a valid ISBN-10 or ISBN-13 (check digit mismatch or wrong length)'),
+  body('genre').isIn(GENRES),
+  body('publicationYear').isInt({ min: 1000, max: new Date().getFullYear() }),
+  body('publisher').notEmpty().trim(),
+  body('pageCount').isInt({ min: 1 }),
+  body('language').optional().trim(),
+  body('description').optional().isLength({ max: 1000 }),
+  // FIXED: Allow relative URLs starting with / and empty values
+  body('coverImageUrl').optional().custom(value => {
+    if (!value || value === '') return true; // Allow empty
+    if (value.startsWith('/')) return true; // Allow relative URLs
+    if (value.startsWith('http://') || value.startsWith('https://')) return true; // Allow absolute URLs
+    throw new Error('coverImageUrl must be empty, start with /, or be a valid URL');
+  }),
+  // Number of copies to create with the book; ignored on update (see /books/{id}/copies)
+  body('availableCopies').optional().isInt({ min: 0, max: 500 })
+];
+
+module.exports = {
+  GENRES,
+  validateBook
+};
\ No newline at end of file
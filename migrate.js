@@ -0,0 +1,47 @@
+// Run schema migrations (see utils/migrations.js and migrations/)
+//
+//   npm run migrate -- status
+//   npm run migrate -- up [name]     apply pending migrations (up to name)
+//   npm run migrate -- down [steps]  revert the last applied migration(s)
+const mongoose = require('mongoose');
+const { migrationStatus, migrateUp, migrateDown } = require('./utils/migrations');
+require('dotenv').config();
+
+const usage = () => {
+  console.error('Usage: npm run migrate -- status | up [name] | down [steps]');
+  process.exit(2);
+};
+
+const runMigrations = async () => {
+  const [command = 'status', arg] = process.argv.slice(2);
+  if (!['status', 'up', 'down'].includes(command)) usage();
+  
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    
+    if (command === 'status') {
+      const migrations = await migrationStatus();
+      migrations.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.applied.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migration.applied ? '✔' : '·'} ${migration.name.padEnd(40)} ${state}`);
+      });
+      console.log(`${migrations.filter(migration => !migration.applied).length} pending`);
+    } else if (command === 'up') {
+      const done = await migrateUp(arg);
+      console.log(done.length > 0 ? `✅ Applied ${done.length} migration(s)` : 'Nothing to migrate');
+    } else {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!(steps > 0)) usage();
+      const done = await migrateDown(steps);
+      console.log(done.length > 0 ? `✅ Reverted ${done.length} migration(s)` : 'Nothing to revert');
+    }
+    
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+runMigrations();
\ No newline at end of file
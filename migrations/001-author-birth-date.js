@@ -0,0 +1,37 @@
+// Some authors were stored with a numeric birthYear instead of the birthDate
+// the schema requires. Derive birthDate (1 January of that year) where it is
+// missing and drop birthYear.
+module.exports = {
+  description: 'Replace legacy Author.birthYear with birthDate',
+  
+  up: async ({ db, log }) => {
+    const authors = db.collection('authors');
+    const changed = [];
+    
+    for await (const author of authors.find({ birthYear: { $exists: true } }, { projection: { birthYear: 1, birthDate: 1 } })) {
+      const derived = !author.birthDate && Number.isInteger(Number(author.birthYear));
+      const update = { $unset: { birthYear: '' } };
+      if (derived) {
+        update.$set = { birthDate: new Date(Date.UTC(Number(author.birthYear), 0, 1)) };
+      }
+      
+      await authors.updateOne({ _id: author._id }, update);
+      changed.push({ _id: author._id, birthYear: author.birthYear, derived });
+    }
+    
+    log(`${changed.length} author(s) updated, ${changed.filter(author => author.derived).length} birthDate(s) derived`);
+    return { changed };
+  },
+  
+  down: async ({ db, log }, { changed = [] } = {}) => {
+    const authors = db.collection('authors');
+    
+    for (const author of changed) {
+      const update = { $set: { birthYear: author.birthYear } };
+      if (author.derived) update.$unset = { birthDate: '' };
+      await authors.updateOne({ _id: author._id }, update);
+    }
+    
+    log(`${changed.length} author(s) restored`);
+  }
+};
\ No newline at end of file
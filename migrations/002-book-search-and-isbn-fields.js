@@ -0,0 +1,57 @@
+// Books saved before full-text search and ISBN normalization lack the derived
+// authorName and isbn10 fields, and may store a 10-digit ISBN.
+const { toIsbn13, toIsbn10 } = require('../utils/isbn');
+
+module.exports = {
+  description: 'Backfill Book.authorName and isbn10, store ISBNs as ISBN-13',
+  
+  up: async ({ db, log }) => {
+    const books = db.collection('books');
+    const authorNames = new Map();
+    for await (const author of db.collection('authors').find({}, { projection: { firstName: 1, lastName: 1 } })) {
+      authorNames.set(String(author._id), `${author.firstName} ${author.lastName}`);
+    }
+    
+    const isbnChanges = [];
+    let updated = 0;
+    
+    for await (const book of books.find({}, { projection: { isbn: 1, author: 1, authorName: 1, isbn10: 1 } })) {
+      const $set = {};
+      
+      const authorName = authorNames.get(String(book.author));
+      if (authorName && authorName !== book.authorName) $set.authorName = authorName;
+      
+      const isbn13 = toIsbn13(book.isbn);
+      if (isbn13 && isbn13 !== book.isbn) {
+        if (await books.countDocuments({ isbn: isbn13 }, { limit: 1 })) {
+          log(`skipped ISBN ${book.isbn} on ${book._id}: ${isbn13} already belongs to another book`);
+        } else {
+          $set.isbn = isbn13;
+          isbnChanges.push({ _id: book._id, isbn: book.isbn });
+        }
+      }
+      
+      const isbn10 = toIsbn10(isbn13 || book.isbn);
+      if (isbn10 && isbn10 !== book.isbn10) $set.isbn10 = isbn10;
+      
+      if (Object.keys($set).length > 0) {
+        await books.updateOne({ _id: book._id }, { $set });
+        updated++;
+      }
+    }
+    
+    log(`${updated} book(s) updated, ${isbnChanges.length} ISBN(s) converted to ISBN-13`);
+    return { isbnChanges };
+  },
+  
+  // authorName and isbn10 are derived, so dropping them everywhere is safe;
+  // the model hooks fill them in again on the next save
+  down: async ({ db, log }, { isbnChanges = [] } = {}) => {
+    const books = db.collection('books');
+    for (const change of isbnChanges) {
+      await books.updateOne({ _id: change._id }, { $set: { isbn: change.isbn } });
+    }
+    await books.updateMany({}, { $unset: { authorName: '', isbn10: '' } });
+    log(`${isbnChanges.length} ISBN(s) restored`);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Book.user (the owner) only became required once authentication was turned on,
+// so older books have no owner and only admins can edit them. Give them an owner:
+// MIGRATION_BOOK_OWNER (a user ID) if set, otherwise the oldest admin account.
+const mongoose = require('mongoose');
+
+module.exports = {
+  description: 'Assign an owner to books created without Book.user',
+  
+  up: async ({ db, log }) => {
+    const users = db.collection('users');
+    
+    let owner = null;
+    if (process.env.MIGRATION_BOOK_OWNER) {
+      owner = await users.findOne({ _id: new mongoose.Types.ObjectId(process.env.MIGRATION_BOOK_OWNER) });
+      if (!owner) throw new Error(`MIGRATION_BOOK_OWNER ${process.env.MIGRATION_BOOK_OWNER} is not a user`);
+    } else {
+      owner = await users.find({ role: 'admin' }).sort({ createdAt: 1, _id: 1 }).limit(1).next();
+    }
+    
+    const books = db.collection('books');
+    const unowned = { $or: [{ user: { $exists: false } }, { user: null }] };
+    
+    if (!owner) {
+      log('no admin account and MIGRATION_BOOK_OWNER is not set; unowned books left as they are');
+      return { owner: null, bookIds: [] };
+    }
+    
+    const bookIds = await books.distinct('_id', unowned);
+    await books.updateMany({ _id: { $in: bookIds } }, { $set: { user: owner._id } });
+    
+    log(`${bookIds.length} book(s) now owned by ${owner.displayName || owner._id}`);
+    return { owner: owner._id, bookIds };
+  },
+  
+  down: async ({ db, log }, { bookIds = [] } = {}) => {
+    await db.collection('books').updateMany({ _id: { $in: bookIds } }, { $set: { user: null } });
+    log(`${bookIds.length} book(s) unowned again`);
+  }
+};
\ No newline at end of file
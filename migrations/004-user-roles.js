@@ -0,0 +1,21 @@
+// Accounts created before role-based access were stored with role "user" (or no
+// role). normalizeRole() treats them as readers at request time; this stores it.
+module.exports = {
+  description: 'Rename the legacy "user" role to "reader"',
+  
+  up: async ({ db, log }) => {
+    const users = db.collection('users');
+    const legacy = { $or: [{ role: 'user' }, { role: { $exists: false } }, { role: null }] };
+    
+    const userIds = await users.distinct('_id', legacy);
+    await users.updateMany({ _id: { $in: userIds } }, { $set: { role: 'reader' } });
+    
+    log(`${userIds.length} account(s) now have the reader role`);
+    return { userIds };
+  },
+  
+  down: async ({ db, log }, { userIds = [] } = {}) => {
+    await db.collection('users').updateMany({ _id: { $in: userIds }, role: 'reader' }, { $set: { role: 'user' } });
+    log(`${userIds.length} account(s) restored to the user role`);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+// Author.bookCount was updated with $inc before the schema declared it, so
+// Mongoose dropped those updates and no author has a stored count. Set it from
+// the books collection.
+module.exports = {
+  description: 'Backfill Author.bookCount from the books',
+  
+  up: async ({ db, log }) => {
+    const authors = db.collection('authors');
+    const counts = await db.collection('books').aggregate([
+      { $match: { deletedAt: null } },
+      { $group: { _id: '$author', count: { $sum: 1 } } }
+    ]).toArray();
+    
+    await authors.updateMany({}, { $set: { bookCount: 0 } });
+    for (const { _id, count } of counts) {
+      await authors.updateOne({ _id }, { $set: { bookCount: count } });
+    }
+    
+    log(`book counts set for ${counts.length} author(s) with books`);
+  },
+  
+  down: async ({ db, log }) => {
+    await db.collection('authors').updateMany({}, { $unset: { bookCount: '' } });
+    log('bookCount removed from all authors');
+  }
+};
\ No newline at end of file
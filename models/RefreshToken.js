@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. Tokens from the same login share a
+// family so reuse of an already-rotated token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
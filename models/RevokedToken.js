@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Revocation list for access tokens that were invalidated before they expired
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    default: 'revoked'
+  },
+  // Entries are only needed until the token would have expired anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
\ No newline at end of file
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  // OAuth provider IDs - sparse so users only need one of them
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  githubId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  avatar: {
+    type: String,
+    match: [/^https?:\/\/.+/, 'Please enter a valid URL']
+  },
+  role: {
+    type: String,
+    enum: ['reader', 'librarian', 'admin'],
+    default: 'reader'
+  },
+  // SHA-256 of the user's API key (the key itself is only shown once)
+  apiKeyHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ email: 1 });
+
+// Accounts created before roles existed were stored as 'user'
+userSchema.pre('validate', function(next) {
+  if (this.role === 'user') {
+    this.role = 'reader';
+  }
+  next();
+});
+
+module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One change to one record, written by utils/audit.js. Entries are never
+// edited, and outlive the records they describe (even after a trash purge).
+const auditEntrySchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ['book', 'author', 'loan'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  // Null for demo users and scripts; actorName still says who it was
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  // e.g. "PATCH /books/64f0c0ffee..."
+  route: {
+    type: String
+  },
+  // [{ field, from, to }]; for a create every field comes from null
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Record history (GET /books/{id}/history) and GET /audit?actor=
+auditEntrySchema.index({ entity: 1, entityId: 1, at: -1 });
+auditEntrySchema.index({ actor: 1, at: -1 });
+auditEntrySchema.index({ at: -1 });
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
\ No newline at end of file
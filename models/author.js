@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const authorSchema = new mongoose.Schema({
   firstName: {
@@ -41,6 +42,13 @@ const authorSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Number of books by this author; kept by the book endpoints in the same
+  // transaction as the book write (rebuild with POST /admin/recount)
+  bookCount: {
+    type: Number,
+    min: [0, 'Book count cannot be negative'],
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -49,4 +57,18 @@ const authorSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Deleting moves the author to the trash (deletedAt); queries skip trashed ones
+authorSchema.plugin(softDelete);
+
+// Renaming an author refreshes the searchable name stored on their books,
+// including any in the trash
+authorSchema.post('findOneAndUpdate', async function(author) {
+  if (author) {
+    await mongoose.model('Book').updateMany(
+      { author: author._id },
+      { authorName: `${author.firstName} ${author.lastName}` }
+    ).setOptions({ withDeleted: true });
+  }
+});
+
 module.exports = mongoose.model('Author', authorSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { toIsbn13, toIsbn10, isValidIsbn13 } = require('../utils/isbn');
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -17,16 +19,27 @@ const bookSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: function() {
-      // Only require user if authentication is enabled (Week 4+)
-      return process.env.REQUIRE_AUTH === 'true';
+      // Only require user if authentication is enabled (Week 4+). Books created
+      // before that stay valid without one (migrations/003 can assign owners).
+      return this.isNew && process.env.REQUIRE_AUTH === 'true';
     },
     default: null
   },
+  // Stored as ISBN-13; ISBN-10 input (with or without hyphens) is converted
   isbn: {
     type: String,
     required: [true, 'ISBN is required'],
     unique: true,
-    match: [/^\d{10}(\d{3})?$/, 'Please enter a valid ISBN']
+    set: (value) => toIsbn13(value) || value,
+    validate: {
+      validator: isValidIsbn13,
+      message: 'Please enter a valid ISBN-10 or ISBN-13'
+    }
+  },
+  // Derived from isbn; empty for 979-prefixed ISBNs, which have no ISBN-10
+  isbn10: {
+    type: String,
+    index: true
   },
   genre: {
     type: String,
@@ -62,17 +75,83 @@ const bookSchema = new mongoose.Schema({
     type: String,
     match: [/^https?:\/\/.+/, 'Please enter a valid URL']
   },
+  // Copy of the author's "First Last" name so the text index can cover it;
+  // kept in step by the hooks below and in models/author.js
+  authorName: {
+    type: String,
+    trim: true
+  },
+  // Derived from the book's copies (see utils/inventory.js) - not edited directly
   availableCopies: {
     type: Number,
-    required: [true, 'Available copies is required'],
     min: [0, 'Available copies cannot be negative'],
-    default: 1
+    default: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // save() checks and bumps __v, which is also the book's ETag (utils/etag.js)
+  optimisticConcurrency: true
 });
 
+// Deleting moves the book to the trash (deletedAt); queries skip trashed ones
+bookSchema.plugin(softDelete);
+
 // Index for better performance with user queries
 bookSchema.index({ user: 1, createdAt: -1 });
 
+// Full-text search (GET /books/search); title matches rank highest
+bookSchema.index(
+  { title: 'text', authorName: 'text', publisher: 'text', description: 'text' },
+  {
+    name: 'book_text_search',
+    weights: { title: 10, authorName: 5, publisher: 2, description: 1 }
+  }
+);
+
+// Reads in the caller's session, if any, so an author created earlier in the
+// same transaction is found
+const authorNameFor = async (authorId, session = null) => {
+  const author = await mongoose.model('Author').findById(authorId, 'firstName lastName').session(session).lean();
+  return author ? `${author.firstName} ${author.lastName}` : undefined;
+};
+
+bookSchema.pre('validate', function(next) {
+  this.isbn10 = toIsbn10(this.isbn) || undefined;
+  next();
+});
+
+bookSchema.pre('save', async function() {
+  if (this.isModified('author') || !this.authorName) {
+    this.authorName = await authorNameFor(this.author, this.$session());
+  }
+});
+
+bookSchema.pre('insertMany', function(next, docs) {
+  Promise.all(docs.map(async (doc) => {
+    if (doc.author && !doc.authorName) {
+      doc.authorName = await authorNameFor(doc.author);
+    }
+  })).then(() => next(), next);
+});
+
+bookSchema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+  const update = this.getUpdate() || {};
+  const author = update.author || (update.$set && update.$set.author);
+  if (author) {
+    this.set('authorName', await authorNameFor(author, this.getOptions().session));
+  }
+  
+  const isbn = update.isbn || (update.$set && update.$set.isbn);
+  if (isbn) {
+    this.set('isbn10', toIsbn10(isbn) || undefined);
+  }
+});
+
+// Query writes bump __v as well, so every change to a book gives it a new ETag
+bookSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  const update = this.getUpdate() || {};
+  update.$inc = { ...update.$inc, __v: 1 };
+  this.setUpdate(update);
+});
+
 module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
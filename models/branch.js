@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    trim: true,
+    minlength: [2, 'Branch name must be at least 2 characters']
+  },
+  // Short code used in URLs and on transfer slips, e.g. "MAIN"
+  code: {
+    type: String,
+    required: [true, 'Branch code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{2,10}$/, 'Branch code must be 2-10 letters or digits']
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Accept either the ObjectId or the branch code (?branch=MAIN)
+branchSchema.statics.findByIdOrCode = function(value) {
+  if (mongoose.isValidObjectId(value)) {
+    return this.findById(value);
+  }
+  return this.findOne({ code: String(value).toUpperCase() });
+};
+
+module.exports = mongoose.model('Branch', branchSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A physical copy (item) of a book, identified by the barcode on its label.
+//   available - on the shelf
+//   on_loan   - checked out
+//   on_hold   - set aside for a patron's hold
+//   lost      - missing
+//   in_repair - out for repair
+//   in_transit - being moved to another branch
+const copySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  barcode: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{4,32}$/, 'Barcode must be 4-32 letters, digits or hyphens']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Shelf location within the branch
+  location: {
+    type: String,
+    trim: true,
+    default: 'Main stacks'
+  },
+  condition: {
+    type: String,
+    enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+    default: 'good'
+  },
+  status: {
+    type: String,
+    enum: ['available', 'on_loan', 'on_hold', 'lost', 'in_repair', 'in_transit'],
+    default: 'available'
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+copySchema.index({ book: 1, status: 1 });
+copySchema.index({ branch: 1, book: 1 });
+
+module.exports = mongoose.model('Copy', copySchema);
\ No newline at end of file
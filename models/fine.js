@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Fines ledger. Every change to what a patron owes is a new entry; the
+// balance is the sum of amounts (charges positive, payments/waivers negative).
+// Amounts are in cents.
+const fineSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: [true, 'Loan is required']
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'payment', 'waiver'],
+    required: [true, 'Entry type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: function(value) {
+        return Number.isInteger(value) && (this.type === 'charge' ? value > 0 : value < 0);
+      },
+      message: 'Charges must be positive and payments/waivers negative whole cents'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  // Librarian who recorded a payment or waiver (null for automatic charges)
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+fineSchema.index({ user: 1, createdAt: 1 });
+fineSchema.index({ loan: 1 });
+
+module.exports = mongoose.model('Fine', fineSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A patron's place in line for a book. Queue order is createdAt (FIFO).
+//   waiting   - in line
+//   ready     - a returned copy is set aside until expiresAt
+//   fulfilled - the patron checked the copy out
+//   expired   - not picked up in time
+//   cancelled - withdrawn by the patron or a librarian
+const holdSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'ready', 'fulfilled', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Copy set aside for the patron once the hold is ready
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Copy',
+    default: null
+  },
+  readyAt: {
+    type: Date,
+    default: null
+  },
+  // Pickup deadline once the hold is ready
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+holdSchema.index({ book: 1, status: 1, createdAt: 1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+
+// One open hold per patron per book
+holdSchema.index(
+  { book: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'ready'] } } }
+);
+
+module.exports = mongoose.model('Hold', holdSchema);
\ No newline at end of file
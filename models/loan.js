@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const loanSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Physical copy on loan (null for loans made before copies were tracked)
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Copy',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'overdue', 'returned'],
+    default: 'active'
+  },
+  checkedOutAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  returnedAt: {
+    type: Date,
+    default: null
+  },
+  renewals: {
+    type: Number,
+    default: 0,
+    min: [0, 'Renewals cannot be negative']
+  },
+  maxRenewals: {
+    type: Number,
+    required: true,
+    min: [0, 'Max renewals cannot be negative']
+  },
+  // Fines charged so far for this loan, in cents (see utils/fines.js)
+  fineAccrued: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fine cannot be negative']
+  },
+  // Librarian who processed the checkout, if not the borrower
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+loanSchema.index({ user: 1, status: 1 });
+loanSchema.index({ book: 1, status: 1 });
+loanSchema.index({ copy: 1, status: 1 });
+loanSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('Loan', loanSchema);
\ No newline at end of file
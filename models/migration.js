@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One document per applied migration (see utils/migrations.js)
+const migrationSchema = new mongoose.Schema({
+  // File name without .js, e.g. "001-book-search-and-isbn-fields"
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: {
+    type: Number
+  },
+  // Whatever up() returned, handed back to down() (e.g. IDs it changed)
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Moving a copy between branches.
+//   requested  - waiting to be sent
+//   in_transit - shipped, copy unavailable until received
+//   received   - copy now belongs to the destination branch
+//   cancelled  - withdrawn before shipping
+const transferSchema = new mongoose.Schema({
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Copy',
+    required: [true, 'Copy is required']
+  },
+  fromBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  toBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Destination branch is required']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'in_transit', 'received', 'cancelled'],
+    default: 'requested'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  shippedAt: {
+    type: Date,
+    default: null
+  },
+  // The copy's status when it was shipped; receiving puts it back the same way
+  shelfStatus: {
+    type: String,
+    enum: ['available', 'in_repair', null],
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+transferSchema.index({ status: 1, toBranch: 1 });
+transferSchema.index({ status: 1, fromBranch: 1 });
+
+// Only one open transfer per copy
+transferSchema.index(
+  { copy: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['requested', 'in_transit'] } } }
+);
+
+module.exports = mongoose.model('Transfer', transferSchema);
\ No newline at end of file
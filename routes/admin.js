@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+// Maintenance jobs are admin-only
+router.use(isAuthenticated, requirePermission('maintenance:run'));
+
+// Routes
+
+/**
+ * @swagger
+ * /admin/recount:
+ *   post:
+ *     summary: Rebuild every author's bookCount from the books
+ *     tags: [Admin]
+ *     description: |
+ *       Repairs drift in Author.bookCount, e.g. after writes on a MongoDB server
+ *       without transactions (not a replica set) or direct database edits.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Authors recounted; lists each corrected count (from/to) and books whose author no longer exists
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/recount', adminController.recountBooks);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const auditController = require('../controllers/auditController');
+const { validatePagination } = require('../utils/pagination');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+// Routes
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: List audit entries
+ *     tags: [Audit]
+ *     description: |
+ *       Every create, update, delete and restore of a book, author or loan,
+ *       newest first, with who made it, the route and the fields it changed.
+ *       For one book's history use GET /books/{id}/history.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [book, author, loan]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: actor
+ *         description: User ID of whoever made the change
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/Page'
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         description: Invalid filter, limit or cursor
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', isAuthenticated, requirePermission('audit:read'), [
+  query('entity').optional().isIn(auditController.ENTITIES).withMessage(`entity must be one of: ${auditController.ENTITIES.join(', ')}`),
+  query('entityId').optional().isMongoId().withMessage('entityId must be a valid ID'),
+  query('action').optional().isIn(auditController.ACTIONS).withMessage(`action must be one of: ${auditController.ACTIONS.join(', ')}`),
+  query('actor').optional().isMongoId().withMessage('actor must be a valid user ID'),
+  ...validatePagination
+], auditController.getAudit);
+
+module.exports = router;
\ No newline at end of file
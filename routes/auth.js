@@ -1,7 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const passport = require('../config/passport');
-const { isAuthenticated } = require('../middleware/auth');
+const tokenController = require('../controllers/tokenController');
+
+// Import auth middleware
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+// Respond 503 when a provider has no credentials configured (see config/passport.js)
+const requireProvider = (name) => (req, res, next) => {
+  if (!passport._strategy(name)) {
+    return res.status(503).json({
+      success: false,
+      error: 'Provider not configured',
+      message: `${name} login is not enabled on this server`
+    });
+  }
+  next();
+};
+
+// Shared success handler for OAuth logins
+const loginSuccess = (req, res) => {
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: {
+      id: req.user._id,
+      displayName: req.user.displayName,
+      email: req.user.email,
+      avatar: req.user.avatar,
+      role: req.user.role
+    }
+  });
+};
 
 /**
  * @swagger
@@ -12,7 +42,10 @@ const { isAuthenticated } = require('../middleware/auth');
  *     description: Redirects to Google OAuth login
  */
 router.get('/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
+  requireProvider('google'),
+  passport.authenticate('google', { scope: ['profile', 'email'] }),
+  // Only reached when OAUTH_MOCK=true; the real strategy redirects to Google
+  loginSuccess
 );
 
 /**
@@ -24,23 +57,44 @@ router.get('/google',
  *     description: Callback URL for Google OAuth
  */
 router.get('/google/callback',
+  requireProvider('google'),
   passport.authenticate('google', { 
     failureRedirect: '/auth/failure',
     session: true 
   }),
-  (req, res) => {
-    // Successful authentication
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: {
-        id: req.user._id,
-        displayName: req.user.displayName,
-        email: req.user.email,
-        avatar: req.user.avatar
-      }
-    });
-  }
+  loginSuccess
+);
+
+/**
+ * @swagger
+ * /auth/github:
+ *   get:
+ *     summary: Login with GitHub
+ *     tags: [Authentication]
+ *     description: Redirects to GitHub OAuth login
+ */
+router.get('/github',
+  requireProvider('github'),
+  passport.authenticate('github', { scope: ['user:email'] }),
+  // Only reached when OAUTH_MOCK=true; the real strategy redirects to GitHub
+  loginSuccess
+);
+
+/**
+ * @swagger
+ * /auth/github/callback:
+ *   get:
+ *     summary: GitHub OAuth callback
+ *     tags: [Authentication]
+ *     description: Callback URL for GitHub OAuth
+ */
+router.get('/github/callback',
+  requireProvider('github'),
+  passport.authenticate('github', {
+    failureRedirect: '/auth/failure',
+    session: true
+  }),
+  loginSuccess
 );
 
 /**
@@ -69,7 +123,7 @@ router.get('/logout', (req, res) => {
  *       200:
  *         description: Current user information
  */
-router.get('/current', isAuthenticated, (req, res) => {
+router.get('/current', isAuthenticated, requirePermission('users:self'), (req, res) => {
   res.json({
     success: true,
     user: {
@@ -96,4 +150,108 @@ router.get('/failure', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /auth/token:
+ *   post:
+ *     summary: Issue JWT access and refresh tokens
+ *     tags: [Authentication]
+ *     description: Exchanges the current OAuth session, or an API key, for a short-lived access token and a rotating refresh token.
+ *     security:
+ *       - cookieAuth: []
+ *       - apiKeyHeader: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       401:
+ *         description: No session and no valid API key
+ */
+router.post('/token', tokenController.createToken);
+
+/**
+ * @swagger
+ * /auth/token/refresh:
+ *   post:
+ *     summary: Rotate a refresh token
+ *     tags: [Authentication]
+ *     description: Returns a new token pair. The presented refresh token is invalidated; presenting it again revokes the whole login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/token/refresh', tokenController.refreshToken);
+
+/**
+ * @swagger
+ * /auth/token/revoke:
+ *   post:
+ *     summary: Revoke tokens
+ *     tags: [Authentication]
+ *     description: Adds the Bearer access token to the revocation list and/or revokes the login a refresh token belongs to.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token(s) revoked
+ *       400:
+ *         description: No token supplied
+ *       401:
+ *         description: Invalid token
+ */
+router.post('/token/revoke', tokenController.revokeToken);
+
+/**
+ * @swagger
+ * /auth/api-key:
+ *   post:
+ *     summary: Generate an API key
+ *     tags: [Authentication]
+ *     description: Creates (or replaces) the current user's API key for use with POST /auth/token. The key is only returned once.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/api-key', isAuthenticated, requirePermission('users:self'), tokenController.createApiKey);
+
 module.exports = router;
\ No newline at end of file
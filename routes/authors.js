@@ -1,6 +1,19 @@
 const express = require('express');
 const router = express.Router();
+const { param } = require('express-validator');
 const authorsController = require('../controllers/authorsController');
+const { validatePagination } = require('../utils/pagination');
+const { PATCH_TYPES } = require('../utils/patch');
+const { validateAuthor } = require('../middleware/authorValidation');
+
+// Import auth middleware
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+const validateObjectId = [
+  param('id').isMongoId().withMessage('Invalid author ID format')
+];
+
+// Routes
 
 /**
  * @swagger
@@ -8,12 +21,214 @@ const authorsController = require('../controllers/authorsController');
  *   get:
  *     summary: Get all authors
  *     tags: [Authors]
+ *     description: Authors sorted by last name, one page at a time (follow the next/prev cursor links).
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/Page'
  *     responses:
  *       200:
- *         description: List of all authors
+ *         description: A page of authors. Next/prev page URLs are also sent in the Link header.
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *       400:
+ *         description: Invalid limit or cursor
  *       500:
  *         description: Server error
  */
-router.get('/', authorsController.getAllAuthors);
+router.get('/', validatePagination, authorsController.getAllAuthors);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   get:
+ *     summary: Get an author by ID
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Author found
+ *       404:
+ *         description: Author not found
+ *       400:
+ *         description: Invalid ID format
+ */
+router.get('/:id', validateObjectId, authorsController.getAuthorById);
+
+/**
+ * @swagger
+ * /authors:
+ *   post:
+ *     summary: Create a new author
+ *     tags: [Authors]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *     responses:
+ *       201:
+ *         description: Author created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required (Week 4)
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/', isAuthenticated, requirePermission('authors:create'), validateAuthor, authorsController.createAuthor);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   put:
+ *     summary: Update an author
+ *     tags: [Authors]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *     responses:
+ *       200:
+ *         description: Author updated
+ *       404:
+ *         description: Author not found
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required (Week 4)
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/:id', isAuthenticated, requirePermission('authors:update'), [...validateObjectId, ...validateAuthor], authorsController.updateAuthor);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   patch:
+ *     summary: Partially update an author
+ *     tags: [Authors]
+ *     description: |
+ *       Send only what changes, either as a JSON Merge Patch (RFC 7396, null removes
+ *       a field) or a JSON Patch (RFC 6902). Only the changed fields are validated.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Author'
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/JsonPatchOperation'
+ *     responses:
+ *       200:
+ *         description: Author updated (or unchanged)
+ *       400:
+ *         description: Malformed patch, read-only field, or validation error on a changed field
+ *       404:
+ *         description: Author not found
+ *       409:
+ *         description: A JSON Patch "test" operation failed
+ *       415:
+ *         description: Body is not merge-patch or JSON Patch (see the Accept-Patch header)
+ *       401:
+ *         description: Authentication required (Week 4)
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.patch('/:id', isAuthenticated, requirePermission('authors:update'), express.json({ type: PATCH_TYPES }), validateObjectId, authorsController.patchAuthor);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   delete:
+ *     summary: Move an author to the trash
+ *     tags: [Authors]
+ *     description: |
+ *       Refuses with 409 while books still reference the author, unless cascade=true
+ *       is passed. Restore with POST /authors/{id}/restore until the trash is purged.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *         description: Also move every book that references this author to the trash (you must own them all, or be an admin)
+ *     responses:
+ *       200:
+ *         description: Author in the trash (with purgeAt)
+ *       404:
+ *         description: Author not found
+ *       409:
+ *         description: Author still has books
+ *       401:
+ *         description: Authentication required (Week 4)
+ *       403:
+ *         description: Role not allowed, or the cascade includes books owned by other users
+ */
+router.delete('/:id', isAuthenticated, requirePermission('authors:delete'), validateObjectId, authorsController.deleteAuthor);
+
+/**
+ * @swagger
+ * /authors/{id}/restore:
+ *   post:
+ *     summary: Restore an author from the trash
+ *     tags: [Authors, Trash]
+ *     description: Books that were deleted along with the author (cascade) are restored too.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Author restored
+ *       404:
+ *         description: No deleted author with this ID
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/:id/restore', isAuthenticated, requirePermission('authors:delete'), validateObjectId, authorsController.restoreAuthor);
 
 module.exports = router;
\ No newline at end of file
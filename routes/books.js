@@ -1,56 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const booksController = require('../controllers/booksController');
+const loansController = require('../controllers/loansController');
+const holdsController = require('../controllers/holdsController');
+const copiesController = require('../controllers/copiesController');
+const auditController = require('../controllers/auditController');
+const { SORT_FIELDS, RANGE_FIELDS, isValidRange, isValidSort } = require('../utils/bookQuery');
+const { validatePagination } = require('../utils/pagination');
+const { isValidIsbn } = require('../utils/isbn');
+const { GENRES, validateBook } = require('../middleware/bookValidation');
+const { FORMATS: IMPORT_FORMATS } = require('../utils/bookImport');
+const { EXPORT_FORMATS } = require('../utils/bookExport');
+const { PATCH_TYPES } = require('../utils/patch');
 
-// Import auth middleware (optional for Week 3, required for Week 4)
-let isAuthenticated;
-try {
-  const authMiddleware = require('../middleware/auth');
-  isAuthenticated = authMiddleware.isAuthenticated;
-  console.log('✅ Auth middleware loaded');
-} catch (error) {
-  console.log('⚠️  Auth middleware not found, using demo mode');
-  // Create demo auth middleware for Week 3
-  isAuthenticated = (req, res, next) => {
-    // For Week 3: Allow all requests
-    // For Week 4: Check req.user or req.session
-    if (process.env.REQUIRE_AUTH === 'true' && !req.user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'Please log in to access this endpoint'
-      });
-    }
-    next();
-  };
-}
-
-// Validation middleware
-const validateBook = [
-  body('title').notEmpty().withMessage('Title is required').trim().isLength({ min: 2 }),
-  body('author').isMongoId().withMessage('Valid author ID is required'),
-  body('isbn').notEmpty().withMessage('ISBN is required').matches(/^\d{10}(\d{3})?$/),
-  body('genre').isIn(['Fiction', 'Non-Fiction', 'Science Fiction', 'Fantasy', 'Mystery', 'Biography', 'History', 'Self-Help', 'Other']),
-  body('publicationYear').isInt({ min: 1000, max: new Date().getFullYear() }),
-  body('publisher').notEmpty().trim(),
-  body('pageCount').isInt({ min: 1 }),
-  body('language').optional().trim(),
-  body('description').optional().isLength({ max: 1000 }),
-  // FIXED: Allow relative URLs starting with / and empty values
-  body('coverImageUrl').optional().custom(value => {
-    if (!value || value === '') return true; // Allow empty
-    if (value.startsWith('/')) return true; // Allow relative URLs
-    if (value.startsWith('http://') || value.startsWith('https://')) return true; // Allow absolute URLs
-    throw new Error('coverImageUrl must be empty, start with /, or be a valid URL');
-  }),
-  body('availableCopies').isInt({ min: 0 })
-];
+// Import auth middleware
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+const COPY_STATUSES = ['available', 'on_loan', 'on_hold', 'lost', 'in_repair', 'in_transit'];
+const COPY_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
 
 const validateObjectId = [
   param('id').isMongoId().withMessage('Invalid book ID format')
 ];
 
+// Filters and sort for listing books (see utils/bookQuery.js)
+const validateBookQuery = [
+  query('genre').optional().isIn(GENRES),
+  query('author').optional().isMongoId().withMessage('author must be a valid author ID'),
+  query('language').optional().trim().notEmpty(),
+  query('publisher').optional().trim().notEmpty(),
+  ...RANGE_FIELDS.map(field => query(field).optional().custom(isValidRange)
+    .withMessage(`${field} must be a whole number or a range like ${field}[gte]=&${field}[lte]=`)),
+  query('available').optional().isBoolean().withMessage('available must be true or false'),
+  query('sort').optional().custom(isValidSort)
+    .withMessage(`sort can only use: ${SORT_FIELDS.join(', ')}`),
+  query('facets').optional().isBoolean(),
+  ...validatePagination
+];
+
 // Routes
 
 /**
@@ -59,14 +47,234 @@ const validateObjectId = [
  *   get:
  *     summary: Get all books
  *     tags: [Books]
- *     description: Get all books. If authentication is required, only returns user's books.
+ *     description: Get all books, with optional filters and sorting, one page at a time (follow the next/prev cursor links). The response includes facet counts per genre, language and decade for the filtered books.
+ *     parameters:
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: author
+ *         description: Author ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: publisher
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: publicationYear
+ *         description: Exact year, or a range with publicationYear[gte]=, [gt]=, [lte]=, [lt]=
+ *         style: deepObject
+ *         schema:
+ *           type: object
+ *           properties:
+ *             gte:
+ *               type: integer
+ *             lte:
+ *               type: integer
+ *       - in: query
+ *         name: pageCount
+ *         description: Exact page count, or a range with pageCount[gte]=, [gt]=, [lte]=, [lt]=
+ *         style: deepObject
+ *         schema:
+ *           type: object
+ *           properties:
+ *             gte:
+ *               type: integer
+ *             lte:
+ *               type: integer
+ *       - in: query
+ *         name: available
+ *         description: true for books with a copy on the shelf, false for books with none
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: branch
+ *         description: Branch ID or code; only books with a copy at that branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: "Comma-separated fields, prefix with - for descending: title, publicationYear, pageCount, publisher, language, availableCopies, createdAt"
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         example: -publicationYear,title
+ *       - in: query
+ *         name: facets
+ *         description: Pass false to skip the facet counts
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/Page'
  *     responses:
  *       200:
- *         description: List of books
+ *         description: List of books with facet counts. Next/prev page URLs are also sent in the Link header.
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *       400:
+ *         description: Invalid filter, sort field, limit or cursor
+ *       404:
+ *         description: Branch not found
  *       500:
  *         description: Server error
  */
-router.get('/', booksController.getAllBooks);
+router.get('/', validateBookQuery, booksController.getAllBooks);
+
+/**
+ * @swagger
+ * /books/my-books:
+ *   get:
+ *     summary: Get current user's books
+ *     tags: [Books]
+ *     description: Books whose owner (user field) is the logged-in user.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User's books
+ *       401:
+ *         description: Authentication required
+ */
+// Must be registered before /:id or it would be treated as a book ID
+router.get('/my-books', isAuthenticated, requirePermission('books:read'), booksController.getUserBooks);
+
+/**
+ * @swagger
+ * /books/search:
+ *   get:
+ *     summary: Full-text search across books
+ *     tags: [Books]
+ *     description: Searches title, author name, publisher and description, ranked by relevance. Supports "quoted phrases" and -excluded words. Each result carries a score and highlighted snippets of the matching fields.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: gatsby
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Matching books, most relevant first
+ *       400:
+ *         description: Missing or invalid query
+ */
+// Must be registered before /:id or it would be treated as a book ID
+router.get('/search', [
+  query('q').trim().notEmpty().withMessage('Please provide a search query (q parameter)').isLength({ max: 200 }),
+  query('genre').optional().isIn(GENRES),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], booksController.searchBooks);
+
+/**
+ * @swagger
+ * /books/export:
+ *   get:
+ *     summary: Export the catalog
+ *     tags: [Books]
+ *     description: |
+ *       Streams every book matching the same filters and sort as GET /books (no paging), with author names.
+ *       CSV and JSON lines use the columns that POST /books/import reads. MARCXML maps ISBN to 020,
+ *       author to 100, title to 245, publisher and year to 264, page count to 300, description to 520,
+ *       genre to 655 and cover to 856.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, marcxml]
+ *           default: csv
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file (sent as an attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/marcxml+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, filter or sort
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+// Must be registered before /:id or it would be treated as a book ID
+router.get('/export', isAuthenticated, requirePermission('books:export'), [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  ...validateBookQuery
+], booksController.exportBooks);
+
+/**
+ * @swagger
+ * /books/isbn/{isbn}:
+ *   get:
+ *     summary: Get a book by ISBN
+ *     tags: [Books]
+ *     description: Accepts ISBN-10 or ISBN-13, with or without hyphens.
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 0-7432-7356-7
+ *     responses:
+ *       200:
+ *         description: Book found
+ *       400:
+ *         description: Not a valid ISBN
+ *       404:
+ *         description: Book not found
+ */
+router.get('/isbn/:isbn', booksController.getBookByIsbn);
 
 /**
  * @swagger
@@ -80,13 +288,19 @@ router.get('/', booksController.getAllBooks);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Book found
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       404:
  *         description: Book not found
  *       400:
  *         description: Invalid ID format
+ *       304:
+ *         description: Not modified - the If-None-Match ETag is still current
  */
 router.get('/:id', validateObjectId, booksController.getBookById);
 
@@ -112,7 +326,6 @@ router.get('/:id', validateObjectId, booksController.getBookById);
  *               - publicationYear
  *               - publisher
  *               - pageCount
- *               - availableCopies
  *             properties:
  *               title:
  *                 type: string
@@ -122,7 +335,8 @@ router.get('/:id', validateObjectId, booksController.getBookById);
  *                 example: "507f1f77bcf86cd799439011"
  *               isbn:
  *                 type: string
- *                 example: "9780743273565"
+ *                 example: "978-0-7432-7356-5"
+ *                 description: ISBN-10 or ISBN-13; stored as ISBN-13
  *               genre:
  *                 type: string
  *                 example: "Fiction"
@@ -145,6 +359,7 @@ router.get('/:id', validateObjectId, booksController.getBookById);
  *               availableCopies:
  *                 type: integer
  *                 example: 5
+ *                 description: Number of copies to create, with generated barcodes
  *     responses:
  *       201:
  *         description: Book created successfully
@@ -152,8 +367,126 @@ router.get('/:id', validateObjectId, booksController.getBookById);
  *         description: Validation error
  *       401:
  *         description: Authentication required (Week 4)
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/', isAuthenticated, requirePermission('books:create'), validateBook, booksController.createBook);
+
+/**
+ * @swagger
+ * /books/import-by-isbn:
+ *   post:
+ *     summary: Create a book from catalog metadata
+ *     tags: [Books]
+ *     description: Looks the ISBN up in the configured catalog providers (local JSON/MARC fixtures by default) and creates the book with its title, publisher, year, page count, language, description and cover. The author is matched by name unless an author ID is given. Any other field in the body overrides the catalog value.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isbn
+ *             properties:
+ *               isbn:
+ *                 type: string
+ *                 example: "978-0-7432-7356-5"
+ *               author:
+ *                 type: string
+ *                 description: Author ID; matched from the catalog record when omitted
+ *               genre:
+ *                 type: string
+ *                 description: Defaults to a genre guessed from the record's subjects
+ *               availableCopies:
+ *                 type: integer
+ *                 description: Number of copies to create
+ *     responses:
+ *       201:
+ *         description: Book created
+ *       400:
+ *         description: Validation error, or catalog author not found
+ *       404:
+ *         description: No catalog record for the ISBN
+ *       409:
+ *         description: A book with this ISBN already exists
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/import-by-isbn', isAuthenticated, requirePermission('books:create'), [
+  body('isbn').notEmpty().withMessage('ISBN is required').custom(isValidIsbn).withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+  body('author').optional().isMongoId().withMessage('Valid author ID is required'),
+  body('genre').optional().isIn(GENRES),
+  body('publicationYear').optional().isInt({ min: 1000, max: new Date().getFullYear() }),
+  body('pageCount').optional().isInt({ min: 1 }),
+  body('availableCopies').optional().isInt({ min: 0, max: 500 })
+], booksController.importBookByIsbn);
+
+/**
+ * @swagger
+ * /books/import:
+ *   post:
+ *     summary: Bulk import books from CSV or JSON lines
+ *     tags: [Books]
+ *     description: |
+ *       Each row is validated with the same rules as POST /books and upserted by ISBN.
+ *       Authors are matched by name (author column, "First Last" or "Last, First") or
+ *       authorId; a missing author is created when the row also has authorNationality
+ *       and authorBirthDate. availableCopies creates that many copies for new books.
+ *       The response reports the outcome of every row; failed rows don't stop the others.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Validate and report without saving anything
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: format
+ *         description: Overrides the Content-Type
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, json]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             title,author,isbn,genre,publicationYear,publisher,pageCount,availableCopies
+ *             The Great Gatsby,F. Scott Fitzgerald,9780743273565,Fiction,1925,Scribner,180,3
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Per-row report with created/updated/unchanged/failed counts
+ *       400:
+ *         description: Empty import or invalid parameters
+ *       413:
+ *         description: Too many rows
+ *       415:
+ *         description: Unsupported content type
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post('/', isAuthenticated, validateBook, booksController.createBook);
+router.post('/import', isAuthenticated, requirePermission('books:create'),
+  express.json({ limit: '10mb' }),
+  express.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'], limit: '10mb' }),
+  [
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+    query('format').optional().isIn(IMPORT_FORMATS)
+  ],
+  booksController.importBooks
+);
 
 /**
  * @swagger
@@ -169,6 +502,7 @@ router.post('/', isAuthenticated, validateBook, booksController.createBook);
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -184,15 +518,69 @@ router.post('/', isAuthenticated, validateBook, booksController.createBook);
  *         description: Validation error
  *       401:
  *         description: Authentication required (Week 4)
+ *       403:
+ *         description: Role not allowed, or not the book's owner/an admin
+ *       412:
+ *         description: If-Match does not match the book's current ETag
+ */
+router.put('/:id', isAuthenticated, requirePermission('books:update'), [...validateObjectId, ...validateBook], booksController.updateBook);
+
+/**
+ * @swagger
+ * /books/{id}:
+ *   patch:
+ *     summary: Partially update a book
+ *     tags: [Books]
+ *     description: |
+ *       Send only what changes, either as a JSON Merge Patch (RFC 7396, null removes
+ *       a field) or a JSON Patch (RFC 6902). Only the changed fields are validated.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Book'
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/JsonPatchOperation'
+ *     responses:
+ *       200:
+ *         description: Book updated (or unchanged)
+ *       400:
+ *         description: Malformed patch, read-only field, or validation error on a changed field
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: A JSON Patch "test" operation failed
+ *       415:
+ *         description: Body is not merge-patch or JSON Patch (see the Accept-Patch header)
+ *       401:
+ *         description: Authentication required (Week 4)
+ *       403:
+ *         description: Role not allowed, or not the book's owner/an admin
+ *       412:
+ *         description: If-Match does not match the book's current ETag
  */
-router.put('/:id', isAuthenticated, [...validateObjectId, ...validateBook], booksController.updateBook);
+router.patch('/:id', isAuthenticated, requirePermission('books:update'), express.json({ type: PATCH_TYPES }), validateObjectId, booksController.patchBook);
 
 /**
  * @swagger
  * /books/{id}:
  *   delete:
- *     summary: Delete a book
+ *     summary: Move a book to the trash
  *     tags: [Books]
+ *     description: The book disappears from listings and search. Restore it with POST /books/{id}/restore until the trash is purged.
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -201,44 +589,228 @@ router.put('/:id', isAuthenticated, [...validateObjectId, ...validateBook], book
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
- *         description: Book deleted
+ *         description: Book in the trash (with purgeAt)
  *       404:
  *         description: Book not found
  *       401:
  *         description: Authentication required (Week 4)
+ *       403:
+ *         description: Role not allowed, or not the book's owner/an admin
+ *       412:
+ *         description: If-Match does not match the book's current ETag
  */
-router.delete('/:id', isAuthenticated, validateObjectId, booksController.deleteBook);
+router.delete('/:id', isAuthenticated, requirePermission('books:delete'), validateObjectId, booksController.deleteBook);
 
 /**
  * @swagger
- * /books/my-books:
+ * /books/{id}/restore:
+ *   post:
+ *     summary: Restore a book from the trash
+ *     tags: [Books, Trash]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Book restored
+ *       404:
+ *         description: No deleted book with this ID
+ *       409:
+ *         description: The book's author is in the trash; restore them first
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Role not allowed, or not the book's owner/an admin
+ */
+router.post('/:id/restore', isAuthenticated, requirePermission('books:delete'), validateObjectId, booksController.restoreBook);
+
+/**
+ * @swagger
+ * /books/{id}/history:
  *   get:
- *     summary: Get current user's books
- *     tags: [Books]
+ *     summary: List changes made to a book
+ *     tags: [Books, Audit]
+ *     description: |
+ *       The book's audit entries, newest first. Still available after the book
+ *       is deleted, and after the trash is purged.
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/Page'
  *     responses:
  *       200:
- *         description: User's books
+ *         description: A page of audit entries
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       400:
+ *         description: Invalid book ID, limit or cursor
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: No book or history with this ID
+ */
+router.get('/:id/history', isAuthenticated, requirePermission('audit:read'), [
+  ...validateObjectId,
+  ...validatePagination
+], auditController.getBookHistory);
+
+/**
+ * @swagger
+ * /books/{id}/checkout:
+ *   post:
+ *     summary: Check out a copy of a book
+ *     tags: [Loans]
+ *     description: Takes one available copy and creates a loan with a due date. Librarians can pass userId to check out for a patron.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Borrower (librarians only; defaults to the current user)
+ *     responses:
+ *       201:
+ *         description: Loan created
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: No copies available
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/:id/checkout', isAuthenticated, requirePermission('loans:create'), [
+  ...validateObjectId,
+  body('userId').optional().isMongoId().withMessage('userId must be a valid user ID')
+], loansController.checkoutBook);
+
+/**
+ * @swagger
+ * /books/{id}/holds:
+ *   post:
+ *     summary: Place a hold on a book
+ *     tags: [Holds]
+ *     description: Joins the FIFO queue for a book with no available copies. When a copy is returned it is set aside for the first patron in line for a limited pickup window.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Hold placed, with queue position
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Copies available, already borrowed, or already on hold
  *       401:
  *         description: Authentication required
  */
-router.get('/my-books', isAuthenticated, (req, res) => {
-  // For Week 3: Return all books (demo mode)
-  // For Week 4: Use booksController.getUserBooks
-  if (process.env.REQUIRE_AUTH === 'true') {
-    // Call the controller method for Week 4
-    return booksController.getAllBooks(req, res);
-  }
-  
-  // Week 3: Return success with demo message
-  res.json({
-    success: true,
-    message: 'In Week 4, this endpoint will show only your books',
-    note: 'Currently showing all books (Week 3 mode)'
-  });
-});
+router.post('/:id/holds', isAuthenticated, requirePermission('loans:create'), validateObjectId, holdsController.placeHold);
+
+/**
+ * @swagger
+ * /books/{id}/copies:
+ *   get:
+ *     summary: List the physical copies of a book
+ *     tags: [Copies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, lost, in_repair, in_transit]
+ *     responses:
+ *       200:
+ *         description: List of copies
+ */
+router.get('/:id/copies', [
+  ...validateObjectId,
+  query('status').optional().isIn(COPY_STATUSES)
+], copiesController.getBookCopies);
+
+/**
+ * @swagger
+ * /books/{id}/copies:
+ *   post:
+ *     summary: Add a physical copy of a book
+ *     tags: [Copies]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Copy'
+ *     responses:
+ *       201:
+ *         description: Copy added
+ *       400:
+ *         description: Validation error or duplicate barcode
+ *       404:
+ *         description: Book not found
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/:id/copies', isAuthenticated, requirePermission('copies:manage'), [
+  ...validateObjectId,
+  body('barcode').notEmpty().withMessage('Barcode is required').trim().matches(/^[A-Za-z0-9-]{4,32}$/).withMessage('Barcode must be 4-32 letters, digits or hyphens'),
+  body('branch').optional({ values: 'null' }).isMongoId().withMessage('branch must be a valid branch ID'),
+  body('location').optional().trim(),
+  body('condition').optional().isIn(COPY_CONDITIONS),
+  body('status').optional().isIn(['available', 'lost', 'in_repair'])
+], copiesController.addCopy);
 
 module.exports = router;
\ No newline at end of file
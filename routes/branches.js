@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const branchesController = require('../controllers/branchesController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+// Validation middleware
+const validateBranch = [
+  body('name').notEmpty().withMessage('Branch name is required').trim().isLength({ min: 2 }),
+  body('code').notEmpty().withMessage('Branch code is required').trim().matches(/^[A-Za-z0-9]{2,10}$/).withMessage('Branch code must be 2-10 letters or digits'),
+  body('address').optional().trim(),
+  body('phone').optional().trim(),
+  body('isActive').optional().isBoolean()
+];
+
+const validateObjectId = [
+  param('id').isMongoId().withMessage('Invalid branch ID format')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /branches:
+ *   get:
+ *     summary: Get all branches
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of branches
+ */
+router.get('/', branchesController.getAllBranches);
+
+/**
+ * @swagger
+ * /branches/{id}:
+ *   get:
+ *     summary: Get a branch by ID or code
+ *     tags: [Branches]
+ *     description: Includes the number of copies held at the branch, by status.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Branch ID or code (e.g. MAIN)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch found
+ *       404:
+ *         description: Branch not found
+ */
+router.get('/:id', param('id').notEmpty(), branchesController.getBranch);
+
+/**
+ * @swagger
+ * /branches:
+ *   post:
+ *     summary: Create a branch
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ *     responses:
+ *       201:
+ *         description: Branch created
+ *       400:
+ *         description: Validation error or duplicate code
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/', isAuthenticated, requirePermission('branches:manage'), validateBranch, branchesController.createBranch);
+
+/**
+ * @swagger
+ * /branches/{id}:
+ *   put:
+ *     summary: Update a branch
+ *     tags: [Branches]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Branch'
+ *     responses:
+ *       200:
+ *         description: Branch updated
+ *       404:
+ *         description: Branch not found
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/:id', isAuthenticated, requirePermission('branches:manage'), [...validateObjectId, ...validateBranch], branchesController.updateBranch);
+
+/**
+ * @swagger
+ * /branches/{id}:
+ *   delete:
+ *     summary: Delete a branch
+ *     tags: [Branches]
+ *     description: Refused while copies are still assigned to the branch; transfer them out or deactivate the branch instead.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch deleted
+ *       404:
+ *         description: Branch not found
+ *       409:
+ *         description: Branch still holds copies
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.delete('/:id', isAuthenticated, requirePermission('branches:manage'), validateObjectId, branchesController.deleteBranch);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const copiesController = require('../controllers/copiesController');
+const loansController = require('../controllers/loansController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+const validateBarcode = [
+  param('barcode').matches(/^[A-Za-z0-9-]{4,32}$/).withMessage('Invalid barcode format')
+];
+
+const validateCopyUpdate = [
+  ...validateBarcode,
+  body('branch').optional({ values: 'null' }).isMongoId().withMessage('branch must be a valid branch ID'),
+  body('location').optional().notEmpty().trim(),
+  body('condition').optional().isIn(['new', 'good', 'fair', 'poor', 'damaged']),
+  // on_loan/on_hold are only set by checkout, returns and holds
+  body('status').optional().isIn(['available', 'lost', 'in_repair'])
+    .withMessage('status can only be set to available, lost or in_repair')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /copies/{barcode}:
+ *   get:
+ *     summary: Look up a copy by barcode
+ *     tags: [Copies]
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Copy with its book
+ *       404:
+ *         description: Copy not found
+ */
+router.get('/:barcode', validateBarcode, copiesController.getCopyByBarcode);
+
+/**
+ * @swagger
+ * /copies/{barcode}:
+ *   patch:
+ *     summary: Update a copy's branch, location, condition or shelf status
+ *     tags: [Copies]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 description: Branch ID (corrections only; use /transfers to move copies)
+ *               location:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               status:
+ *                 type: string
+ *                 enum: [available, lost, in_repair]
+ *     responses:
+ *       200:
+ *         description: Copy updated
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Copy is on loan, on hold or in transit
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.patch('/:barcode', isAuthenticated, requirePermission('copies:manage'), validateCopyUpdate, copiesController.updateCopy);
+
+/**
+ * @swagger
+ * /copies/{barcode}:
+ *   delete:
+ *     summary: Withdraw a copy from the collection
+ *     tags: [Copies]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Copy withdrawn
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Copy is on loan, on hold or in transit
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.delete('/:barcode', isAuthenticated, requirePermission('copies:manage'), validateBarcode, copiesController.deleteCopy);
+
+/**
+ * @swagger
+ * /copies/{barcode}/checkout:
+ *   post:
+ *     summary: Check out a scanned copy
+ *     tags: [Loans]
+ *     description: Circulation desk checkout by barcode. Librarians pass userId for the patron; copies set aside for a hold can only go to that patron.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Loan created
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Copy not available
+ */
+router.post('/:barcode/checkout', isAuthenticated, requirePermission('loans:create'), [
+  ...validateBarcode,
+  body('userId').optional().isMongoId().withMessage('userId must be a valid user ID')
+], loansController.checkoutCopy);
+
+/**
+ * @swagger
+ * /copies/{barcode}/return:
+ *   post:
+ *     summary: Return a scanned copy
+ *     tags: [Loans]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Copy returned
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Copy is not on loan
+ */
+router.post('/:barcode/return', isAuthenticated, requirePermission('loans:create'), validateBarcode, loansController.returnCopy);
+
+module.exports = router;
\ No newline at end of file
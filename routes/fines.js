@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const finesController = require('../controllers/finesController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+// Amounts are whole cents
+const validateCredit = (amountRequired) => [
+  body('userId').isMongoId().withMessage('Valid userId is required'),
+  body('loanId').optional().isMongoId().withMessage('loanId must be a valid loan ID'),
+  (amountRequired ? body('amount') : body('amount').optional())
+    .isInt({ min: 1 }).withMessage('amount must be a positive number of cents').toInt(),
+  body('note').optional().trim().isLength({ max: 500 })
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /fines:
+ *   get:
+ *     summary: List outstanding fines
+ *     tags: [Fines]
+ *     description: Outstanding balance per loan, in cents. Readers only see their own fines; librarians can filter by user or see everyone's.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Outstanding fines
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/', isAuthenticated, requirePermission('fines:read'), [
+  query('user').optional().isMongoId().withMessage('user must be a valid user ID')
+], finesController.getFines);
+
+/**
+ * @swagger
+ * /fines/payments:
+ *   post:
+ *     summary: Record a fine payment (librarian only)
+ *     tags: [Fines]
+ *     description: Applied to the given loan, or spread over the patron's oldest outstanding fines.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - amount
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               loanId:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *                 description: Cents
+ *                 example: 250
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Validation error, nothing owed, or overpayment
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/payments', isAuthenticated, requirePermission('fines:manage'), validateCredit(true), finesController.recordPayment);
+
+/**
+ * @swagger
+ * /fines/waive:
+ *   post:
+ *     summary: Waive fines (librarian only)
+ *     tags: [Fines]
+ *     description: Waives the given amount, or everything outstanding if amount is omitted.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               loanId:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *                 description: Cents
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Fine waived
+ *       400:
+ *         description: Validation error or nothing owed
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/waive', isAuthenticated, requirePermission('fines:manage'), validateCredit(false), finesController.waiveFine);
+
+module.exports = router;
\ No newline at end of file
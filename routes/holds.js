@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+const holdsController = require('../controllers/holdsController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+const validateObjectId = [
+  param('id').isMongoId().withMessage('Invalid hold ID format')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /holds/{id}/cancel:
+ *   post:
+ *     summary: Cancel a hold
+ *     tags: [Holds]
+ *     description: If a copy was already set aside for this hold it passes to the next patron in line.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold cancelled
+ *       403:
+ *         description: Not the patron or a librarian
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         description: Hold already closed
+ */
+router.post('/:id/cancel', isAuthenticated, requirePermission('loans:create'), validateObjectId, holdsController.cancelHold);
+
+module.exports = router;
\ No newline at end of file
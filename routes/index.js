@@ -4,10 +4,32 @@ const router = express.Router();
 // Import route modules
 const booksRouter = require('./books');
 const authorsRouter = require('./authors');
+const usersRouter = require('./users');
+const loansRouter = require('./loans');
+const holdsRouter = require('./holds');
+const finesRouter = require('./fines');
+const copiesRouter = require('./copies');
+const branchesRouter = require('./branches');
+const transfersRouter = require('./transfers');
+const adminRouter = require('./admin');
+const trashRouter = require('./trash');
+const auditRouter = require('./audit');
+const authRouter = require('./auth');
 
 // Mount routes
 router.use('/books', booksRouter);
 router.use('/authors', authorsRouter);
+router.use('/users', usersRouter);
+router.use('/loans', loansRouter);
+router.use('/holds', holdsRouter);
+router.use('/fines', finesRouter);
+router.use('/copies', copiesRouter);
+router.use('/branches', branchesRouter);
+router.use('/transfers', transfersRouter);
+router.use('/admin', adminRouter);
+router.use('/trash', trashRouter);
+router.use('/audit', auditRouter);
+router.use('/auth', authRouter);
 
 /**
  * @swagger
@@ -29,14 +51,92 @@ router.get('/', (req, res) => {
     documentation: `${baseUrl}/api-docs`,
     endpoints: {
       books: {
-        getAll: 'GET /books',
+        getAll: 'GET /books?limit=&after=&before=',
         getById: 'GET /books/{id}',
+        search: 'GET /books/search?q=&page=&limit=',
+        getByIsbn: 'GET /books/isbn/{isbn}',
         create: 'POST /books',
+        importByIsbn: 'POST /books/import-by-isbn',
+        import: 'POST /books/import?dryRun=true',
+        export: 'GET /books/export?format=csv|jsonl|marcxml',
         update: 'PUT /books/{id}',
-        delete: 'DELETE /books/{id}'
+        patch: 'PATCH /books/{id} (merge-patch or JSON Patch)',
+        delete: 'DELETE /books/{id} (moves it to the trash)',
+        restore: 'POST /books/{id}/restore',
+        history: 'GET /books/{id}/history'
       },
       authors: {
-        getAll: 'GET /authors'
+        getAll: 'GET /authors?limit=&after=&before=',
+        getById: 'GET /authors/{id}',
+        create: 'POST /authors',
+        update: 'PUT /authors/{id}',
+        patch: 'PATCH /authors/{id} (merge-patch or JSON Patch)',
+        delete: 'DELETE /authors/{id}?cascade=true (moves them to the trash)',
+        restore: 'POST /authors/{id}/restore'
+      },
+      trash: {
+        list: 'GET /trash?type=books|authors'
+      },
+      audit: {
+        list: 'GET /audit?entity=&actor=&entityId=&action=',
+        bookHistory: 'GET /books/{id}/history'
+      },
+      copies: {
+        list: 'GET /books/{id}/copies',
+        add: 'POST /books/{id}/copies',
+        lookup: 'GET /copies/{barcode}',
+        update: 'PATCH /copies/{barcode}',
+        withdraw: 'DELETE /copies/{barcode}'
+      },
+      branches: {
+        getAll: 'GET /branches',
+        getById: 'GET /branches/{id or code}',
+        create: 'POST /branches (admin)',
+        update: 'PUT /branches/{id} (admin)',
+        delete: 'DELETE /branches/{id} (admin)',
+        booksAtBranch: 'GET /books?branch={id or code}'
+      },
+      transfers: {
+        getAll: 'GET /transfers?status=&branch=',
+        request: 'POST /transfers',
+        ship: 'POST /transfers/{id}/ship',
+        receive: 'POST /transfers/{id}/receive',
+        cancel: 'POST /transfers/{id}/cancel'
+      },
+      loans: {
+        checkout: 'POST /books/{id}/checkout',
+        checkoutByBarcode: 'POST /copies/{barcode}/checkout',
+        returnByBarcode: 'POST /copies/{barcode}/return',
+        getAll: 'GET /loans?user=&status=',
+        return: 'POST /loans/{id}/return',
+        renew: 'POST /loans/{id}/renew'
+      },
+      holds: {
+        place: 'POST /books/{id}/holds',
+        mine: 'GET /users/me/holds',
+        cancel: 'POST /holds/{id}/cancel'
+      },
+      fines: {
+        outstanding: 'GET /fines?user=',
+        pay: 'POST /fines/payments',
+        waive: 'POST /fines/waive'
+      },
+      users: {
+        me: 'GET /users/me',
+        updateMe: 'PATCH /users/me',
+        getAll: 'GET /users (admin)'
+      },
+      admin: {
+        recount: 'POST /admin/recount (admin)'
+      },
+      auth: {
+        google: 'GET /auth/google',
+        github: 'GET /auth/github',
+        current: 'GET /auth/current',
+        logout: 'GET /auth/logout',
+        token: 'POST /auth/token',
+        refreshToken: 'POST /auth/token/refresh',
+        revokeToken: 'POST /auth/token/revoke'
       },
       api: {
         documentation: 'GET /api-docs',
@@ -44,7 +144,7 @@ router.get('/', (req, res) => {
       }
     },
     database: 'MongoDB',
-    collections: ['books', 'authors'],
+    collections: ['books', 'copies', 'branches', 'transfers', 'authors', 'users', 'loans', 'holds', 'fines', 'auditentries'],
     note: 'Books require at least 8 required fields for creation'
   });
 });
@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const loansController = require('../controllers/loansController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+const validateObjectId = [
+  param('id').isMongoId().withMessage('Invalid loan ID format')
+];
+
+const validateLoanQuery = [
+  query('user').optional().isMongoId().withMessage('user must be a valid user ID'),
+  query('status').optional().isIn(['active', 'overdue', 'returned']).withMessage('status must be active, overdue or returned')
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /loans:
+ *   get:
+ *     summary: List loans
+ *     tags: [Loans]
+ *     description: Readers only see their own loans; librarians can filter by any user.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, overdue, returned]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of loans
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/', isAuthenticated, requirePermission('loans:read'), validateLoanQuery, loansController.getLoans);
+
+/**
+ * @swagger
+ * /loans/{id}/return:
+ *   post:
+ *     summary: Return a loaned book
+ *     tags: [Loans]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Book returned
+ *       403:
+ *         description: Not the borrower or a librarian
+ *       404:
+ *         description: Loan not found
+ *       409:
+ *         description: Loan already returned
+ */
+router.post('/:id/return', isAuthenticated, requirePermission('loans:create'), validateObjectId, loansController.returnLoan);
+
+/**
+ * @swagger
+ * /loans/{id}/renew:
+ *   post:
+ *     summary: Renew a loan
+ *     tags: [Loans]
+ *     description: Extends the due date by one loan period, up to the loan's renewal limit.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan renewed
+ *       403:
+ *         description: Not the borrower or a librarian
+ *       404:
+ *         description: Loan not found
+ *       409:
+ *         description: Loan returned, overdue or out of renewals
+ */
+router.post('/:id/renew', isAuthenticated, requirePermission('loans:create'), validateObjectId, loansController.renewLoan);
+
+module.exports = router;
\ No newline at end of file
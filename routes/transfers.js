@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const transfersController = require('../controllers/transfersController');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+const TRANSFER_STATUSES = ['requested', 'in_transit', 'received', 'cancelled'];
+
+const validateObjectId = [
+  param('id').isMongoId().withMessage('Invalid transfer ID format')
+];
+
+// Every transfer route is staff-only
+router.use(isAuthenticated, requirePermission('transfers:manage'));
+
+// Routes
+
+/**
+ * @swagger
+ * /transfers:
+ *   get:
+ *     summary: List inter-branch transfers
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, in_transit, received, cancelled]
+ *       - in: query
+ *         name: branch
+ *         description: Branch ID or code; matches either end of the transfer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of transfers
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', [
+  query('status').optional().isIn(TRANSFER_STATUSES),
+  query('branch').optional().notEmpty()
+], transfersController.getTransfers);
+
+/**
+ * @swagger
+ * /transfers:
+ *   post:
+ *     summary: Request moving a copy to another branch
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - barcode
+ *               - toBranch
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *                 example: "9780743273565-001"
+ *               toBranch:
+ *                 type: string
+ *                 description: Destination branch ID or code
+ *                 example: "EAST"
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer requested
+ *       400:
+ *         description: Validation error or invalid destination
+ *       404:
+ *         description: Copy not found
+ *       409:
+ *         description: Copy lost or already has an open transfer
+ */
+router.post('/', [
+  body('barcode').notEmpty().withMessage('Barcode is required').trim().matches(/^[A-Za-z0-9-]{4,32}$/).withMessage('Invalid barcode format'),
+  body('toBranch').notEmpty().withMessage('Destination branch is required').trim(),
+  body('note').optional().trim().isLength({ max: 500 })
+], transfersController.createTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/ship:
+ *   post:
+ *     summary: Ship a requested transfer
+ *     tags: [Transfers]
+ *     description: The copy must be on the shelf; it is marked in transit and stops counting as available.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer shipped
+ *       404:
+ *         description: Transfer not found
+ *       409:
+ *         description: Transfer not requested, or copy on loan or on hold
+ */
+router.post('/:id/ship', validateObjectId, transfersController.shipTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/receive:
+ *   post:
+ *     summary: Receive a transfer at its destination
+ *     tags: [Transfers]
+ *     description: The copy joins the destination branch and goes to the next hold in line, or back on the shelf.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer received
+ *       404:
+ *         description: Transfer not found
+ *       409:
+ *         description: Transfer not in transit
+ */
+router.post('/:id/receive', validateObjectId, transfersController.receiveTransfer);
+
+/**
+ * @swagger
+ * /transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transfer that has not shipped
+ *     tags: [Transfers]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       404:
+ *         description: Transfer not found
+ *       409:
+ *         description: Transfer already shipped or closed
+ */
+router.post('/:id/cancel', validateObjectId, transfersController.cancelTransfer);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const trashController = require('../controllers/trashController');
+const { validatePagination } = require('../utils/pagination');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+
+// Routes
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: List deleted books or authors
+ *     tags: [Trash]
+ *     description: |
+ *       Most recently deleted first. Each item has purgeAt, when the purge job
+ *       removes it for good (TRASH_RETENTION_DAYS after deletion, 30 by default).
+ *       Restore with POST /books/{id}/restore or POST /authors/{id}/restore.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [books, authors]
+ *           default: books
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/Page'
+ *     responses:
+ *       200:
+ *         description: A page of deleted records
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *       400:
+ *         description: Invalid type, limit or cursor
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', isAuthenticated, requirePermission('trash:read'), [
+  query('type').optional().isIn(trashController.TRASH_TYPES).withMessage(`type must be one of: ${trashController.TRASH_TYPES.join(', ')}`),
+  ...validatePagination
+], trashController.getTrash);
+
+module.exports = router;
\ No newline at end of file
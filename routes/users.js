@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const usersController = require('../controllers/usersController');
+const holdsController = require('../controllers/holdsController');
+
+// Import auth middleware
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+
+// Validation middleware
+const validateProfile = [
+  body('displayName').optional().notEmpty().withMessage('Display name cannot be empty').trim(),
+  body('username').optional().trim(),
+  body('email').optional().isEmail().withMessage('Please enter a valid email').normalizeEmail(),
+  body('avatar').optional().matches(/^https?:\/\/.+/).withMessage('Avatar must be a valid URL')
+];
+
+const validateRoleChange = [
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Routes
+
+/**
+ * @swagger
+ * /users/me:
+ *   get:
+ *     summary: Get the current user's account
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user's account
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: No account for the current session
+ */
+router.get('/me', isAuthenticated, requirePermission('users:self'), usersController.getCurrentUser);
+
+/**
+ * @swagger
+ * /users/me:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     tags: [Users]
+ *     description: Only displayName, username, email and avatar can be changed.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ */
+router.patch('/me', isAuthenticated, requirePermission('users:self'), validateProfile, usersController.updateCurrentUser);
+
+/**
+ * @swagger
+ * /users/me/holds:
+ *   get:
+ *     summary: Get the current user's open holds
+ *     tags: [Holds]
+ *     description: Waiting holds include their 1-based queue position; holds ready for pickup have position 0 and an expiresAt deadline.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Open holds
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/me/holds', isAuthenticated, requirePermission('users:self'), holdsController.getMyHolds);
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Get all users (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [reader, librarian, admin]
+ *     responses:
+ *       200:
+ *         description: List of users
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', isAuthenticated, requirePermission('users:read'), [
+  query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], usersController.getAllUsers);
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [reader, librarian, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/role', isAuthenticated, requirePermission('users:manage'), validateRoleChange, usersController.updateUserRole);
+
+module.exports = router;
\ No newline at end of file
@@ -1,71 +1,153 @@
+// Seed the database with a named fixture set (data/fixtures/<set>.js)
+//
+//   npm run seed -- [minimal|demo|large] [--count=N] [--update] [--force]
+//
+// Records are upserted by natural key (author name, book ISBN, branch code, copy
+// barcode) so seeding never wipes data and can be re-run safely. Existing records
+// are left alone unless --update is passed. Refuses to run when NODE_ENV is
+// production unless --force (or SEED_FORCE=true) is given.
 const mongoose = require('mongoose');
 const Book = require('./models/book');
 const Author = require('./models/author');
+const Copy = require('./models/copy');
+const Branch = require('./models/branch');
+const { toIsbn13, toIsbn10 } = require('./utils/isbn');
+const { recountBooks } = require('./utils/bookCounts');
 require('dotenv').config();
 
+const FIXTURE_SETS = ['minimal', 'demo', 'large'];
+const BATCH_SIZE = 500;
+
+const parseArgs = (args) => {
+  const option = (name) => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+
+  return {
+    set: args.find(arg => !arg.startsWith('--')) || process.env.SEED_SET || 'minimal',
+    count: parseInt(option('count'), 10) || undefined,
+    update: args.includes('--update'),
+    force: args.includes('--force') || process.env.SEED_FORCE === 'true'
+  };
+};
+
+const loadFixtures = (set, options) => {
+  const fixtures = require(`./data/fixtures/${set}`);
+  return typeof fixtures === 'function' ? fixtures(options) : fixtures;
+};
+
+// Upsert docs in batches; insertOnly(index) adds fields only set on insert.
+// Returns the indexes of the docs that were inserted.
+const upsertAll = async (Model, docs, keyOf, { update, insertOnly = () => ({}) }) => {
+  const inserted = new Set();
+
+  for (let start = 0; start < docs.length; start += BATCH_SIZE) {
+    const batch = docs.slice(start, start + BATCH_SIZE);
+    const result = await Model.bulkWrite(batch.map((doc, i) => ({
+      updateOne: {
+        filter: keyOf(doc),
+        update: update
+          ? { $set: doc, $setOnInsert: insertOnly(start + i) }
+          : { $setOnInsert: { ...doc, ...insertOnly(start + i) } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    Object.keys(result.upsertedIds || {}).forEach(index => inserted.add(start + Number(index)));
+  }
+
+  return inserted;
+};
+
+const report = (label, total, inserted, update) => {
+  const existing = total - inserted.size;
+  console.log(`${label}: ${inserted.size} inserted, ${existing} ${update ? 'updated' : 'already present'}`);
+};
+
 const seedDatabase = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!FIXTURE_SETS.includes(options.set)) {
+    console.error(`❌ Unknown fixture set "${options.set}". Choose one of: ${FIXTURE_SETS.join(', ')}`);
+    process.exit(2);
+  }
+
+  if (process.env.NODE_ENV === 'production' && !options.force) {
+    console.error('❌ Refusing to seed a production database. Re-run with --force if you really mean it.');
+    process.exit(1);
+  }
+
   try {
     await mongoose.connect(process.env.MONGODB_URI);
-    console.log('Connected to MongoDB for seeding...');
-
-    // Clear existing data
-    await Book.deleteMany({});
-    await Author.deleteMany({});
-
-    // Create authors
-    const authors = await Author.insertMany([
-      {
-        firstName: 'F. Scott',
-        lastName: 'Fitzgerald',
-        nationality: 'American',
-        birthDate: new Date('1896-09-24'),
-        deathDate: new Date('1940-12-21'),
-        genres: ['Fiction'],
-        awards: ['None']
-      },
-      {
-        firstName: 'Harper',
-        lastName: 'Lee',
-        nationality: 'American',
-        birthDate: new Date('1926-04-28'),
-        deathDate: new Date('2016-02-19'),
-        genres: ['Fiction'],
-        awards: ['Pulitzer Prize']
+    console.log(`Connected to MongoDB. Seeding the "${options.set}" fixture set${options.update ? ' (updating existing records)' : ''}...`);
+
+    const { branches = [], authors = [], books = [] } = loadFixtures(options.set, options);
+
+    // Branches, by code
+    const insertedBranches = await upsertAll(Branch, branches, branch => ({ code: branch.code }), options);
+    report('Branches', branches.length, insertedBranches, options.update);
+    const branchIds = (await Branch.find({ code: { $in: branches.map(branch => branch.code) } }, '_id').lean())
+      .map(branch => branch._id);
+
+    // Authors, by first and last name
+    const authorKey = (author) => ({ firstName: author.firstName, lastName: author.lastName });
+    const insertedAuthors = await upsertAll(Author, authors, authorKey, options);
+    report('Authors', authors.length, insertedAuthors, options.update);
+
+    const authorIds = new Map();
+    for (let start = 0; start < authors.length; start += BATCH_SIZE) {
+      const found = await Author.find({ $or: authors.slice(start, start + BATCH_SIZE).map(authorKey) }, 'firstName lastName').lean();
+      found.forEach(author => authorIds.set(`${author.firstName} ${author.lastName}`, author._id));
+    }
+
+    // Books, by ISBN. bulkWrite skips the model hooks, so derived fields are set here.
+    const bookDocs = books.map(({ copies, author, ...book }) => {
+      if (!authorIds.has(author)) {
+        throw new Error(`Fixture book "${book.title}" names unknown author "${author}"`);
       }
-    ]);
-
-    console.log(`Created ${authors.length} authors`);
-
-    // Create books
-    const books = await Book.insertMany([
-      {
-        title: 'The Great Gatsby',
-        author: authors[0]._id,
-        isbn: '9780743273565',
-        genre: 'Fiction',
-        publicationYear: 1925,
-        publisher: "Charles Scribner's Sons",
-        pageCount: 180,
-        language: 'English',
-        description: 'A novel about the American Dream during the Jazz Age',
-        availableCopies: 10
-      },
-      {
-        title: 'To Kill a Mockingbird',
-        author: authors[1]._id,
-        isbn: '9780061120084',
-        genre: 'Fiction',
-        publicationYear: 1960,
-        publisher: 'J.B. Lippincott & Co.',
-        pageCount: 281,
-        language: 'English',
-        description: 'A novel about racial injustice in the American South',
-        availableCopies: 8
+      return {
+        ...book,
+        isbn: toIsbn13(book.isbn),
+        isbn10: toIsbn10(book.isbn) || undefined,
+        author: authorIds.get(author),
+        authorName: author
+      };
+    });
+    const insertedBooks = await upsertAll(Book, bookDocs, book => ({ isbn: book.isbn }), {
+      ...options,
+      insertOnly: (index) => ({ availableCopies: books[index].copies || 0 })
+    });
+    report('Books', books.length, insertedBooks, options.update);
+
+    // Copies only for books this run inserted, spread across the fixture's branches
+    const copies = [];
+    insertedBooks.forEach(index => {
+      const book = bookDocs[index];
+      for (let n = 1; n <= (books[index].copies || 0); n++) {
+        copies.push({
+          barcode: `${book.isbn}-${String(n).padStart(3, '0')}`,
+          branch: branchIds.length > 0 ? branchIds[(n - 1) % branchIds.length] : null,
+          status: 'available'
+        });
       }
-    ]);
+    });
+
+    const bookIds = new Map((await Book.find({ isbn: { $in: [...insertedBooks].map(index => bookDocs[index].isbn) } }, 'isbn').lean())
+      .map(book => [book.isbn, book._id]));
+    copies.forEach(copy => {
+      copy.book = bookIds.get(copy.barcode.split('-')[0]);
+    });
+
+    const insertedCopies = await upsertAll(Copy, copies, copy => ({ barcode: copy.barcode }), { update: false });
+    report('Copies', copies.length, insertedCopies, false);
+
+    // bulkWrite skips the bookCount bookkeeping, so rebuild the counts
+    const { corrections } = await recountBooks();
+    console.log(`Author book counts: ${corrections.length} updated`);
 
-    console.log(`Created ${books.length} books`);
     console.log('✅ Database seeded successfully!');
+    await mongoose.disconnect();
     process.exit(0);
   } catch (error) {
     console.error('❌ Error seeding database:', error);
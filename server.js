@@ -10,6 +10,7 @@ const app = express();
 
 // Import Swagger setup
 const setupSwagger = require('./swagger');
+const { startJobs } = require('./jobs');
 
 // ==================== CORS CONFIGURATION FOR SWAGGER ====================
 const allowedOrigins = [
@@ -49,8 +50,8 @@ const corsOptions = {
   },
   credentials: true, // Allow cookies/sessions
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-demo-user', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-demo-user', 'x-demo-role', 'x-api-key', 'X-Requested-With', 'Accept', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Link', 'ETag'],
   maxAge: 86400 // 24 hours
 };
 
@@ -77,9 +78,10 @@ app.use((req, res, next) => {
   }
   
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-demo-user, X-Requested-With, Accept');
-  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, X-Content-Range');
+  // Same lists as corsOptions, so this doesn't overwrite them with fewer headers
+  res.setHeader('Access-Control-Allow-Methods', corsOptions.methods.join(', '));
+  res.setHeader('Access-Control-Allow-Headers', corsOptions.allowedHeaders.join(', '));
+  res.setHeader('Access-Control-Expose-Headers', corsOptions.exposedHeaders.join(', '));
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -91,8 +93,12 @@ app.use((req, res, next) => {
 
 // ==================== END CORS CONFIGURATION ====================
 
-// Body parsing middleware
-app.use(express.json());
+// Body parsing middleware. POST /books/import parses its own body, with a
+// limit that fits a full import (see routes/books.js)
+const jsonParser = express.json();
+app.use((req, res, next) => (req.method === 'POST' && req.path === '/books/import'
+  ? next()
+  : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration for OAuth
@@ -116,6 +122,12 @@ app.use(session({
   }
 }));
 
+// Passport (Google/GitHub OAuth) - must come after the session middleware
+const passport = require('./config/passport');
+const { demoUser } = require('./middleware/auth');
+app.use(passport.initialize());
+app.use(passport.session());
+
 // Setup Swagger documentation
 setupSwagger(app);
 
@@ -187,13 +199,8 @@ app.use((req, res, next) => {
   
   // For testing/demo: Check for demo user header
   if (req.headers['x-demo-user']) {
-    req.user = {
-      _id: req.headers['x-demo-user'],
-      displayName: 'Demo User',
-      email: 'demo@example.com',
-      role: 'user'
-    };
-    console.log('👤 Demo user authenticated:', req.user._id);
+    req.user = demoUser(req);
+    console.log('👤 Demo user authenticated:', req.user._id, `(${req.user.role})`);
   }
   next();
 });
@@ -389,12 +396,90 @@ app.use((req, res) => {
       books: {
         getAll: 'GET /books',
         getById: 'GET /books/:id',
+        search: 'GET /books/search?q=',
+        getByIsbn: 'GET /books/isbn/:isbn',
         create: 'POST /books',
+        importByIsbn: 'POST /books/import-by-isbn',
+        import: 'POST /books/import?dryRun=true',
+        export: 'GET /books/export?format=csv|jsonl|marcxml',
         update: 'PUT /books/:id',
-        delete: 'DELETE /books/:id'
+        patch: 'PATCH /books/:id',
+        delete: 'DELETE /books/:id',
+        restore: 'POST /books/:id/restore',
+        history: 'GET /books/:id/history'
+      },
+      authors: {
+        getAll: 'GET /authors',
+        getById: 'GET /authors/:id',
+        create: 'POST /authors',
+        update: 'PUT /authors/:id',
+        patch: 'PATCH /authors/:id',
+        delete: 'DELETE /authors/:id',
+        restore: 'POST /authors/:id/restore'
+      },
+      trash: {
+        list: 'GET /trash'
+      },
+      audit: {
+        list: 'GET /audit',
+        bookHistory: 'GET /books/:id/history'
+      },
+      copies: {
+        list: 'GET /books/:id/copies',
+        add: 'POST /books/:id/copies',
+        lookup: 'GET /copies/:barcode',
+        update: 'PATCH /copies/:barcode',
+        withdraw: 'DELETE /copies/:barcode'
+      },
+      branches: {
+        getAll: 'GET /branches',
+        getById: 'GET /branches/:id',
+        create: 'POST /branches',
+        update: 'PUT /branches/:id',
+        delete: 'DELETE /branches/:id'
+      },
+      transfers: {
+        getAll: 'GET /transfers',
+        request: 'POST /transfers',
+        ship: 'POST /transfers/:id/ship',
+        receive: 'POST /transfers/:id/receive',
+        cancel: 'POST /transfers/:id/cancel'
+      },
+      loans: {
+        checkout: 'POST /books/:id/checkout',
+        checkoutByBarcode: 'POST /copies/:barcode/checkout',
+        returnByBarcode: 'POST /copies/:barcode/return',
+        getAll: 'GET /loans',
+        return: 'POST /loans/:id/return',
+        renew: 'POST /loans/:id/renew'
+      },
+      holds: {
+        place: 'POST /books/:id/holds',
+        mine: 'GET /users/me/holds',
+        cancel: 'POST /holds/:id/cancel'
+      },
+      fines: {
+        outstanding: 'GET /fines',
+        pay: 'POST /fines/payments',
+        waive: 'POST /fines/waive'
+      },
+      users: {
+        me: 'GET /users/me',
+        updateMe: 'PATCH /users/me',
+        getAll: 'GET /users'
+      },
+      admin: {
+        recount: 'POST /admin/recount'
       },
-      authors: 'GET /authors',
       authentication: {
+        google: 'GET /auth/google',
+        github: 'GET /auth/github',
+        current: 'GET /auth/current',
+        logout: 'GET /auth/logout',
+        token: 'POST /auth/token',
+        refreshToken: 'POST /auth/token/refresh',
+        revokeToken: 'POST /auth/token/revoke',
+        apiKey: 'POST /auth/api-key',
         docs: 'GET /api-docs',
         health: 'GET /health',
         demoLogin: 'POST /auth/demo/login',
@@ -409,6 +494,9 @@ const PORT = process.env.PORT || 3000;
 
 // Start server only if not in test mode
 if (process.env.NODE_ENV !== 'test') {
+  // Background jobs (hold expiry, overdue loans and fines)
+  startJobs();
+  
   app.listen(PORT, '0.0.0.0', () => {
     console.log('\n' + '='.repeat(60));
     console.log('📚 Book Library API Server Started');
@@ -49,6 +49,46 @@ const options = {
         name: 'Authors',
         description: 'Author operations'
       },
+      {
+        name: 'Copies',
+        description: 'Physical copies (items) identified by barcode'
+      },
+      {
+        name: 'Branches',
+        description: 'Library branches'
+      },
+      {
+        name: 'Transfers',
+        description: 'Moving copies between branches'
+      },
+      {
+        name: 'Loans',
+        description: 'Borrowing and returns'
+      },
+      {
+        name: 'Holds',
+        description: 'Reservation queue for books with no copies available'
+      },
+      {
+        name: 'Fines',
+        description: 'Overdue fines ledger'
+      },
+      {
+        name: 'Users',
+        description: 'User account operations'
+      },
+      {
+        name: 'Trash',
+        description: 'Deleted books and authors, until they are purged'
+      },
+      {
+        name: 'Audit',
+        description: 'Who changed what in the catalog and circulation'
+      },
+      {
+        name: 'Admin',
+        description: 'Maintenance jobs (admin only)'
+      },
       {
         name: 'Authentication',
         description: 'User authentication endpoints'
@@ -68,6 +108,24 @@ const options = {
             ? 'Session cookie for authenticated users'
             : 'Demo authentication (Week 3 mode)'
         },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /auth/token'
+        },
+        apiKeyHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-api-key',
+          description: 'API key from POST /auth/api-key (only accepted by POST /auth/token)'
+        },
+        demoRoleHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-demo-role',
+          description: 'Role for the demo user: reader, librarian or admin (only honored in development or with DEMO_AUTH=true)'
+        },
         demoHeader: {
           type: 'apiKey',
           in: 'header',
@@ -78,7 +136,7 @@ const options = {
       schemas: {
         Book: {
           type: 'object',
-          required: ['title', 'author', 'isbn', 'genre', 'publicationYear', 'publisher', 'pageCount', 'availableCopies'],
+          required: ['title', 'author', 'isbn', 'genre', 'publicationYear', 'publisher', 'pageCount'],
           properties: {
             title: {
               type: 'string',
@@ -95,7 +153,13 @@ const options = {
             },
             isbn: {
               type: 'string',
-              example: '9780743273565'
+              example: '9780743273565',
+              description: 'ISBN-13; ISBN-10 input is converted'
+            },
+            isbn10: {
+              type: 'string',
+              example: '0743273567',
+              readOnly: true
             },
             genre: {
               type: 'string',
@@ -126,9 +190,17 @@ const options = {
               type: 'string',
               example: 'https://example.com/book-cover.jpg'
             },
+            authorName: {
+              type: 'string',
+              example: 'F. Scott Fitzgerald',
+              readOnly: true,
+              description: 'Author name copied from the author record for full-text search'
+            },
             availableCopies: {
               type: 'integer',
-              example: 5
+              example: 5,
+              readOnly: true,
+              description: 'Copies on the shelf, derived from the book\'s copies. On create, the number of copies to add.'
             }
           }
         },
@@ -176,12 +248,33 @@ const options = {
               items: {
                 type: 'string'
               }
+            },
+            bookCount: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Number of books by this author, kept by the book endpoints'
             }
           }
         },
         User: {
           type: 'object',
           properties: {
+            googleId: {
+              type: 'string',
+              description: 'Google OAuth profile ID'
+            },
+            githubId: {
+              type: 'string',
+              description: 'GitHub OAuth profile ID'
+            },
+            username: {
+              type: 'string',
+              example: 'johndoe'
+            },
+            avatar: {
+              type: 'string',
+              example: 'https://example.com/avatar.png'
+            },
             displayName: {
               type: 'string',
               example: 'John Doe'
@@ -192,8 +285,253 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
-              example: 'user'
+              enum: ['reader', 'librarian', 'admin'],
+              example: 'reader'
+            },
+            lastLoginAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Copy: {
+          type: 'object',
+          required: ['barcode'],
+          properties: {
+            barcode: {
+              type: 'string',
+              example: '31234000123456'
+            },
+            branch: {
+              type: 'string',
+              description: 'Branch holding the copy'
+            },
+            location: {
+              type: 'string',
+              example: 'Main stacks'
+            },
+            condition: {
+              type: 'string',
+              enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+              example: 'good'
+            },
+            status: {
+              type: 'string',
+              enum: ['available', 'on_loan', 'on_hold', 'lost', 'in_repair', 'in_transit'],
+              example: 'available'
+            }
+          }
+        },
+        Branch: {
+          type: 'object',
+          required: ['name', 'code'],
+          properties: {
+            name: {
+              type: 'string',
+              example: 'Eastside Branch'
+            },
+            code: {
+              type: 'string',
+              example: 'EAST'
+            },
+            address: {
+              type: 'string',
+              example: '42 Market Street'
+            },
+            phone: {
+              type: 'string'
+            },
+            isActive: {
+              type: 'boolean',
+              example: true
+            }
+          }
+        },
+        Transfer: {
+          type: 'object',
+          properties: {
+            copy: {
+              type: 'string'
+            },
+            fromBranch: {
+              type: 'string'
+            },
+            toBranch: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              enum: ['requested', 'in_transit', 'received', 'cancelled']
+            },
+            note: {
+              type: 'string'
+            },
+            shippedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            shelfStatus: {
+              type: 'string',
+              enum: ['available', 'in_repair'],
+              nullable: true,
+              description: 'Copy status when shipped, restored on receive'
+            },
+            receivedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Loan: {
+          type: 'object',
+          properties: {
+            book: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            user: {
+              type: 'string',
+              example: '67b123456789abcdef123456'
+            },
+            copy: {
+              type: 'string',
+              description: 'Physical copy on loan'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'overdue', 'returned']
+            },
+            checkedOutAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            returnedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            renewals: {
+              type: 'integer',
+              example: 0
+            },
+            maxRenewals: {
+              type: 'integer',
+              example: 2
+            },
+            fineAccrued: {
+              type: 'integer',
+              example: 0,
+              description: 'Fines charged for this loan, in cents'
+            }
+          }
+        },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            entity: {
+              type: 'string',
+              enum: ['book', 'author', 'loan']
+            },
+            entityId: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            action: {
+              type: 'string',
+              enum: ['create', 'update', 'delete', 'restore']
+            },
+            actor: {
+              type: 'string',
+              nullable: true,
+              description: 'User ID; null for demo users and scripts'
+            },
+            actorName: {
+              type: 'string',
+              example: 'Jane Librarian'
+            },
+            actorRole: {
+              type: 'string',
+              example: 'librarian'
+            },
+            route: {
+              type: 'string',
+              example: 'PATCH /books/507f1f77bcf86cd799439011'
+            },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    example: 'pageCount'
+                  },
+                  from: {
+                    nullable: true,
+                    example: 320
+                  },
+                  to: {
+                    nullable: true,
+                    example: 336
+                  }
+                }
+              }
+            },
+            at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TokenPair: {
+          type: 'object',
+          properties: {
+            tokenType: {
+              type: 'string',
+              example: 'Bearer'
+            },
+            accessToken: {
+              type: 'string'
+            },
+            expiresIn: {
+              type: 'integer',
+              example: 900,
+              description: 'Access token lifetime in seconds'
+            },
+            refreshToken: {
+              type: 'string'
+            }
+          }
+        },
+        JsonPatchOperation: {
+          type: 'object',
+          required: ['op', 'path'],
+          properties: {
+            op: {
+              type: 'string',
+              enum: ['add', 'remove', 'replace', 'move', 'copy', 'test']
+            },
+            path: {
+              type: 'string',
+              example: '/pageCount'
+            },
+            from: {
+              type: 'string',
+              description: 'Source path for move and copy'
+            },
+            value: {
+              description: 'Value for add, replace and test'
             }
           }
         },
@@ -228,6 +566,57 @@ const options = {
           }
         }
       },
+      parameters: {
+        PageLimit: {
+          in: 'query',
+          name: 'limit',
+          description: 'Items per page (max 100 unless MAX_PAGE_SIZE is set)',
+          schema: { type: 'integer', default: 10, minimum: 1 }
+        },
+        CursorAfter: {
+          in: 'query',
+          name: 'after',
+          description: 'Opaque cursor from a next link: items after it',
+          schema: { type: 'string' }
+        },
+        CursorBefore: {
+          in: 'query',
+          name: 'before',
+          description: 'Opaque cursor from a prev link: items before it',
+          schema: { type: 'string' }
+        },
+        Page: {
+          in: 'query',
+          name: 'page',
+          description: 'Offset page number, for clients that do not use cursors yet',
+          schema: { type: 'integer', minimum: 1 }
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          description: 'ETag from GET /books/{id}; the write is refused with 412 if the book has changed since',
+          schema: { type: 'string', example: '"3"' }
+        },
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          description: 'ETag of a cached copy; 304 is returned if it is still current',
+          schema: { type: 'string', example: '"3"' }
+        }
+      },
+      headers: {
+        ETag: {
+          description: "The book's version; send it back in If-Match or If-None-Match",
+          schema: { type: 'string', example: '"3"' }
+        },
+        Link: {
+          description: 'RFC 8288 links to the first, next and prev pages',
+          schema: {
+            type: 'string',
+            example: '<http://localhost:3000/books?limit=10>; rel="first", <http://localhost:3000/books?limit=10&after=eyJrIjpb...>; rel="next"'
+          }
+        }
+      },
       responses: {
         UnauthorizedError: {
           description: 'Authentication required',
@@ -244,6 +633,24 @@ const options = {
             }
           }
         },
+        ForbiddenError: {
+          description: 'Authenticated, but the user role is not allowed to do this',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              },
+              example: {
+                success: false,
+                error: 'Forbidden',
+                message: 'This action requires one of the following roles: librarian, admin',
+                permission: 'books:delete',
+                requiredRoles: ['librarian', 'admin'],
+                currentRole: 'reader'
+              }
+            }
+          }
+        },
         ValidationError: {
           description: 'Validation failed',
           content: {
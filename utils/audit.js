@@ -0,0 +1,77 @@
+// utils/audit.js - who changed what, for books, authors and loans
+//
+// The controllers call recordAudit() for every create, update, delete and
+// restore. Given a session, the entry is written in that transaction and
+// commits or rolls back with the change. Without one it is written after the
+// change; if that fails the error is logged and the request still succeeds.
+const { isDeepStrictEqual } = require('util');
+const AuditEntry = require('../models/auditEntry');
+const { ownerIdFor } = require('./ownership');
+
+// Bookkeeping that changes on every write
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// JSON form of a record: ids and dates as strings, populated refs as their id
+const plain = (doc) => {
+  if (!doc) return {};
+  const object = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(object));
+};
+
+// Field-level changes between two versions of a record, as [{ field, from, to }].
+// before is null for a create.
+const diffFields = (before, after) => {
+  const from = plain(before);
+  const to = plain(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field]
+    }))
+    .filter(change => !isDeepStrictEqual(change.from, change.to));
+};
+
+// The actor and route, from a request or (for scripts) a { user, route } object
+const sourceOf = (source) => (source.originalUrl
+  ? { user: source.user, route: `${source.method} ${source.originalUrl}` }
+  : source);
+
+// changes: { entity, action, before, after } or an array of them. Updates that
+// changed nothing are skipped.
+const recordAudit = async (source, changes, { session = null } = {}) => {
+  const { user, route } = sourceOf(source);
+  const entries = [].concat(changes)
+    .map(({ entity, action, before = null, after = null }) => ({
+      entity,
+      entityId: (after || before)._id,
+      action,
+      actor: ownerIdFor(user),
+      actorName: user ? user.displayName || user.email || user.username || String(user._id) : 'anonymous',
+      actorRole: user ? user.role : null,
+      route,
+      changes: diffFields(before, after)
+    }))
+    .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+  
+  if (entries.length === 0) return;
+  
+  if (session) {
+    await AuditEntry.insertMany(entries, { session });
+    return;
+  }
+  
+  try {
+    await AuditEntry.insertMany(entries);
+  } catch (error) {
+    console.error('❌ Audit entry not written:', error.message, JSON.stringify(entries));
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAudit
+};
\ No newline at end of file
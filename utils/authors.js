@@ -0,0 +1,31 @@
+// utils/authors.js - matching free-text author names to Author records
+const Author = require('../models/author');
+const { escapeRegex } = require('./search');
+
+// "F. Scott Fitzgerald" -> { firstName: 'F. Scott', lastName: 'Fitzgerald' };
+// "Fitzgerald, F. Scott" is also accepted
+const splitName = (name) => {
+  const cleaned = String(name || '').trim().replace(/\s+/g, ' ');
+  if (cleaned.includes(',')) {
+    const [lastName, firstName] = cleaned.split(/,\s*/);
+    return { firstName: firstName || '', lastName };
+  }
+  
+  const parts = cleaned.split(' ');
+  const lastName = parts.pop();
+  return { firstName: parts.join(' '), lastName };
+};
+
+const exactly = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// Case-insensitive match on first and last name; null if there is none
+const findAuthorByName = (name) => {
+  const { firstName, lastName } = splitName(name);
+  if (!lastName) return Promise.resolve(null);
+  return Author.findOne({ firstName: exactly(firstName), lastName: exactly(lastName) });
+};
+
+module.exports = {
+  splitName,
+  findAuthorByName
+};
\ No newline at end of file
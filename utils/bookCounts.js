@@ -0,0 +1,43 @@
+// utils/bookCounts.js - Author.bookCount, rebuilt from the books collection
+//
+// The book endpoints keep bookCount up to date as they go; this is the repair
+// job behind POST /admin/recount and the end of `npm run seed`.
+const Author = require('../models/author');
+const Book = require('../models/book');
+const { withTransaction } = require('./transactions');
+
+// Sets every author's bookCount to the number of books that reference them.
+// Returns the corrections made and the books whose author no longer exists.
+const recountBooks = () => withTransaction(async (session) => {
+  const counts = await Book.aggregate([
+    { $group: { _id: '$author', count: { $sum: 1 } } }
+  ]).session(session);
+  const byAuthor = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  
+  const authors = await Author.find({}, 'firstName lastName bookCount').session(session).lean();
+  const corrections = authors
+    .filter(author => author.bookCount !== (byAuthor.get(String(author._id)) || 0))
+    .map(author => ({
+      author: author._id,
+      name: `${author.firstName} ${author.lastName}`,
+      from: author.bookCount === undefined ? null : author.bookCount,
+      to: byAuthor.get(String(author._id)) || 0
+    }));
+  
+  if (corrections.length > 0) {
+    await Author.bulkWrite(corrections.map(({ author, to }) => ({
+      updateOne: { filter: { _id: author }, update: { $set: { bookCount: to } } }
+    })), { session });
+  }
+  
+  const known = new Set(authors.map(author => String(author._id)));
+  const orphanedBooks = counts
+    .filter(({ _id }) => !known.has(String(_id)))
+    .reduce((total, { count }) => total + count, 0);
+  
+  return { authors: authors.length, corrections, orphanedBooks };
+});
+
+module.exports = {
+  recountBooks
+};
\ No newline at end of file
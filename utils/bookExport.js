@@ -0,0 +1,63 @@
+// utils/bookExport.js - serializers for GET /books/export
+//
+// CSV and JSON lines use the same columns that utils/bookImport.js reads, so an
+// export can be imported into another instance of this API.
+const { toCsvRow } = require('./csv');
+const { toMarcXml, MARCXML_HEADER, MARCXML_FOOTER } = require('./catalog/marc');
+
+const COLUMNS = ['id', 'title', 'author', 'authorId', 'isbn', 'isbn10', 'genre', 'publicationYear', 'publisher', 'pageCount', 'language', 'description', 'coverImageUrl', 'availableCopies'];
+
+// Flat record for a book whose author is populated with firstName/lastName
+const exportRecord = (book) => {
+  const author = book.author && book.author.lastName ? book.author : null;
+  return {
+    id: String(book._id),
+    title: book.title,
+    author: author ? `${author.firstName} ${author.lastName}` : book.authorName,
+    authorId: author ? String(author._id) : (book.author ? String(book.author) : undefined),
+    isbn: book.isbn,
+    isbn10: book.isbn10,
+    genre: book.genre,
+    publicationYear: book.publicationYear,
+    publisher: book.publisher,
+    pageCount: book.pageCount,
+    language: book.language,
+    description: book.description,
+    coverImageUrl: book.coverImageUrl,
+    availableCopies: book.availableCopies
+  };
+};
+
+// Each format: response type, file extension and the text before, per book and after
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: toCsvRow(COLUMNS),
+    row: (book) => {
+      const record = exportRecord(book);
+      return toCsvRow(COLUMNS.map(column => record[column]));
+    },
+    footer: ''
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    header: '',
+    row: (book) => `${JSON.stringify(exportRecord(book))}\n`,
+    footer: ''
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: MARCXML_HEADER,
+    row: toMarcXml,
+    footer: MARCXML_FOOTER
+  }
+};
+
+module.exports = {
+  COLUMNS,
+  EXPORT_FORMATS,
+  exportRecord
+};
\ No newline at end of file
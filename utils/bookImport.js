@@ -0,0 +1,217 @@
+// utils/bookImport.js - bulk upsert of books from CSV or JSON lines
+//
+// Used by POST /books/import and `npm run import`. Each row is checked with the
+// same validateBook rules as POST /books, its author is matched by name (or
+// created when the row carries authorNationality and authorBirthDate), and the
+// book is created or updated by ISBN. Rows are independent: a bad row is
+// reported and the rest still import. With dryRun nothing is written.
+const Book = require('../models/book');
+const Author = require('../models/author');
+const { validationResult } = require('express-validator');
+const { validateBook } = require('../middleware/bookValidation');
+const { toIsbn13 } = require('./isbn');
+const { parseCsvRecords } = require('./csv');
+const { findAuthorByName, splitName } = require('./authors');
+const { ownerIdFor, canModifyBook } = require('./ownership');
+const { generateBarcodes, addCopies } = require('./inventory');
+const { withTransaction } = require('./transactions');
+const { recordAudit } = require('./audit');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+const FORMATS = ['csv', 'jsonl', 'json'];
+const BOOK_FIELDS = ['title', 'isbn', 'genre', 'publicationYear', 'publisher', 'pageCount', 'language', 'description', 'coverImageUrl'];
+
+// Rows as { row, data } or { row, error } (a JSON line that doesn't parse)
+const parseImport = (input, format) => {
+  if (format === 'json') {
+    if (typeof input === 'string') {
+      try {
+        input = JSON.parse(input);
+      } catch (error) {
+        return [{ row: 1, error: `Invalid JSON: ${error.message}` }];
+      }
+    }
+    const records = Array.isArray(input) ? input : (input && input.rows) || [];
+    return records.map((data, i) => ({ row: i + 1, data }));
+  }
+  
+  if (format === 'csv') {
+    return parseCsvRecords(String(input)).map((data, i) => ({ row: i + 1, data }));
+  }
+  
+  return String(input)
+    .split(/\r?\n/)
+    .map((line, i) => ({ row: i + 1, line: line.trim() }))
+    .filter(({ line }) => line !== '')
+    .map(({ row, line }) => {
+      try {
+        return { row, data: JSON.parse(line) };
+      } catch (error) {
+        return { row, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+};
+
+// validateBook messages for one row, as "field: message"
+const validateRow = async (body) => {
+  const req = { body };
+  for (const chain of validateBook) {
+    await chain.run(req);
+  }
+  return validationResult(req).array().map(error => `${error.path}: ${error.msg}`);
+};
+
+// Existing author, a new unsaved Author, or { error }. Authors are cached by
+// name for the whole import so a new author is only created once.
+const resolveAuthor = async (data, authors) => {
+  // author may also hold an ID, e.g. rows exported from this API
+  const authorId = data.authorId || (/^[a-f\d]{24}$/i.test(data.author) ? data.author : null);
+  if (authorId) {
+    const author = await Author.findById(authorId).catch(() => null);
+    return author || { error: `author: no author with ID ${authorId}` };
+  }
+  
+  const name = String(data.author || data.authorName || '').trim();
+  if (!name) return { error: 'author: author name or authorId is required' };
+  
+  const key = name.toLowerCase();
+  if (!authors.has(key)) {
+    let author = await findAuthorByName(name);
+    if (!author && data.authorNationality && data.authorBirthDate) {
+      author = new Author({
+        ...splitName(name),
+        nationality: data.authorNationality,
+        birthDate: data.authorBirthDate
+      });
+      await author.validate();
+    }
+    authors.set(key, author);
+  }
+  
+  return authors.get(key) || {
+    error: `author: "${name}" not found; add authorNationality and authorBirthDate to create it`
+  };
+};
+
+const importRow = async ({ row, data, error }, { dryRun, user, route, authors }) => {
+  const result = { row, isbn: data && data.isbn, title: data && data.title };
+  if (error) return { ...result, status: 'error', errors: [error] };
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { ...result, status: 'error', errors: ['Row must be an object of book fields'] };
+  }
+  
+  try {
+    const author = await resolveAuthor(data, authors);
+    if (author.error) return { ...result, status: 'error', errors: [author.error] };
+    
+    const body = { author: author._id.toString() };
+    BOOK_FIELDS.forEach(field => {
+      if (data[field] !== undefined && data[field] !== '') body[field] = String(data[field]);
+    });
+    if (data.availableCopies !== undefined && data.availableCopies !== '') {
+      body.availableCopies = String(data.availableCopies);
+    }
+    
+    const errors = await validateRow(body);
+    if (errors.length > 0) return { ...result, status: 'error', errors };
+    
+    const { availableCopies, ...fields } = body;
+    fields.isbn = toIsbn13(fields.isbn);
+    result.isbn = fields.isbn;
+    
+    let book = await Book.findOne({ isbn: fields.isbn });
+    const previousAuthor = book && book.author.toString();
+    const before = book && book.toObject();
+    
+    if (book && !canModifyBook(book, user)) {
+      return { ...result, status: 'error', errors: ['Only the owner of this book or an admin can modify it'], bookId: book._id };
+    }
+    
+    if (book) {
+      book.set(fields);
+      if (!book.isModified()) return { ...result, status: 'unchanged', bookId: book._id };
+    } else {
+      book = new Book({ ...fields, user: ownerIdFor(user) });
+    }
+    await book.validate();
+    
+    const status = book.isNew ? 'created' : 'updated';
+    const authorCreated = author.isNew;
+    
+    if (!dryRun) {
+      // The book, the bookCount changes it causes and the audit entries are written together
+      await withTransaction(async (session) => {
+        const audit = [];
+        if (author.isNew) {
+          await author.save({ session });
+          audit.push({ entity: 'author', action: 'create', after: author });
+        }
+        await book.save({ session });
+        audit.push({ entity: 'book', action: status === 'created' ? 'create' : 'update', before, after: book });
+        await recordAudit({ user, route }, audit, { session });
+        
+        if (status === 'created') {
+          await Author.updateOne({ _id: book.author }, { $inc: { bookCount: 1 } }, { session });
+        } else if (previousAuthor !== book.author.toString()) {
+          await Author.updateOne({ _id: previousAuthor }, { $inc: { bookCount: -1 } }, { session });
+          await Author.updateOne({ _id: book.author }, { $inc: { bookCount: 1 } }, { session });
+        }
+      });
+      
+      const copies = parseInt(availableCopies, 10) || 0;
+      if (status === 'created' && copies > 0) {
+        const barcodes = await generateBarcodes(book, copies);
+        await addCopies(book, barcodes.map(barcode => ({ barcode })));
+      }
+    }
+    
+    return {
+      ...result,
+      status,
+      bookId: book._id,
+      author: { id: author._id, name: `${author.firstName} ${author.lastName}`, created: authorCreated }
+    };
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { ...result, status: 'error', errors: Object.values(error.errors).map(val => `${val.path}: ${val.message}`) };
+    }
+    if (error.code === 11000) {
+      return { ...result, status: 'error', errors: [`isbn: a book with ISBN ${result.isbn} already exists`] };
+    }
+    // Anything else fails this row only; rows before it are already written
+    console.error(`Error importing row ${row}:`, error);
+    return { ...result, status: 'error', errors: [`Could not import this row: ${error.message}`] };
+  }
+};
+
+// Imports parsed rows one at a time and returns the per-row report
+// (route is recorded in the audit log, e.g. "POST /books/import")
+const importBooks = async (rows, { dryRun = false, user = null, route = 'import' } = {}) => {
+  const context = { dryRun, user, route, authors: new Map() };
+  const results = [];
+  
+  for (const row of rows) {
+    results.push(await importRow(row, context));
+  }
+  
+  const count = (status) => results.filter(result => result.status === status).length;
+  const createdAuthors = new Set(results.filter(result => result.author && result.author.created).map(result => String(result.author.id)));
+  
+  return {
+    dryRun,
+    total: results.length,
+    created: count('created'),
+    updated: count('updated'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    authorsCreated: createdAuthors.size,
+    rows: results
+  };
+};
+
+module.exports = {
+  MAX_ROWS,
+  FORMATS,
+  parseImport,
+  importBooks
+};
\ No newline at end of file
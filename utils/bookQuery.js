@@ -0,0 +1,117 @@
+// utils/bookQuery.js - turns GET /books query parameters into a MongoDB filter,
+// sort and facet pipeline (shared by every endpoint that lists books)
+const mongoose = require('mongoose');
+const Book = require('../models/book');
+const Branch = require('../models/branch');
+const Copy = require('../models/copy');
+const { escapeRegex } = require('./search');
+
+// ?sort=-publicationYear,title - anything else is rejected by the route validator
+const SORT_FIELDS = ['title', 'publicationYear', 'pageCount', 'publisher', 'language', 'availableCopies', 'createdAt'];
+const DEFAULT_SORT = '-createdAt';
+
+// ?publicationYear=1925 or ?publicationYear[gte]=1900&publicationYear[lt]=1950
+const RANGE_OPERATORS = ['gte', 'gt', 'lte', 'lt'];
+const RANGE_FIELDS = ['publicationYear', 'pageCount'];
+
+const isValidRange = (value) => {
+  const bounds = typeof value === 'object' && value !== null ? value : { eq: value };
+  return Object.entries(bounds).every(([op, bound]) =>
+    (op === 'eq' || RANGE_OPERATORS.includes(op)) && /^\d+$/.test(bound)
+  );
+};
+
+const rangeFilter = (value) => {
+  if (typeof value !== 'object') return parseInt(value, 10);
+  return Object.entries(value).reduce((range, [op, bound]) => {
+    range[`$${op}`] = parseInt(bound, 10);
+    return range;
+  }, {});
+};
+
+const isValidSort = (value) => String(value).split(',').every(key =>
+  SORT_FIELDS.includes(key.trim().replace(/^[-+]/, ''))
+);
+
+const parseSort = (value = DEFAULT_SORT) => {
+  const sort = {};
+  String(value).split(',').forEach(key => {
+    const field = key.trim().replace(/^[-+]/, '');
+    sort[field] = key.trim().startsWith('-') ? -1 : 1;
+  });
+  // Stable order for equal keys so pages don't overlap
+  sort._id = sort._id || 1;
+  return sort;
+};
+
+// Case-insensitive whole-value match for free-text facets like publisher
+const exactText = (value) => new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+
+// Returns { filter } or { status, body } describing why the query can't be served
+const buildBookFilter = async (query) => {
+  const filter = {};
+  
+  if (query.genre) filter.genre = query.genre;
+  // Cast here: aggregation pipelines don't cast strings to ObjectIds
+  if (query.author) filter.author = new mongoose.Types.ObjectId(query.author);
+  if (query.language) filter.language = exactText(query.language);
+  if (query.publisher) filter.publisher = exactText(query.publisher);
+  
+  RANGE_FIELDS.forEach(field => {
+    if (query[field] !== undefined) filter[field] = rangeFilter(query[field]);
+  });
+  
+  if (query.available !== undefined) {
+    filter.availableCopies = query.available === 'true' ? { $gt: 0 } : 0;
+  }
+  
+  // Only books with at least one copy held at the branch (ID or code)
+  if (query.branch) {
+    const branch = await Branch.findByIdOrCode(query.branch);
+    if (!branch) {
+      return {
+        status: 404,
+        body: { success: false, error: 'Branch not found', message: `No branch matches ${query.branch}` }
+      };
+    }
+    filter._id = { $in: await Copy.distinct('book', { branch: branch._id }) };
+  }
+  
+  return { filter };
+};
+
+// Counts per genre, language and decade for the books matching the filter
+const bookFacets = async (filter) => {
+  const countBy = (key) => [
+    { $group: { _id: key, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ];
+  
+  const [facets] = await Book.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        genre: countBy('$genre'),
+        language: countBy('$language'),
+        decade: [
+          { $group: { _id: { $subtract: ['$publicationYear', { $mod: ['$publicationYear', 10] }] }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, value: '$_id', count: 1 } }
+        ]
+      }
+    }
+  ]);
+  
+  return facets;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  RANGE_FIELDS,
+  isValidRange,
+  isValidSort,
+  parseSort,
+  buildBookFilter,
+  bookFacets
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+// utils/catalog/fixtureProvider.js - catalog records from local files, no network
+//
+// Reads every *.json file in the fixtures directory once: *.marc.json files hold
+// MARC-in-JSON records, other .json files hold plain catalog records.
+const fs = require('fs');
+const path = require('path');
+const { toIsbn13 } = require('../isbn');
+const { fromMarc } = require('./marc');
+
+const createFixtureProvider = ({ directory }) => {
+  let records = null;
+  
+  // Builds the map aside and only keeps it once every file has parsed, so a
+  // bad fixture fails every lookup rather than serving a partial catalog
+  const load = () => {
+    const loaded = new Map();
+    if (!fs.existsSync(directory)) {
+      records = loaded;
+      return;
+    }
+    
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const entries = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        const isMarc = file.endsWith('.marc.json');
+        
+        (Array.isArray(entries) ? entries : [entries]).forEach(entry => {
+          const record = isMarc ? fromMarc(entry) : entry;
+          const isbn = toIsbn13(record.isbn);
+          if (isbn && !loaded.has(isbn)) {
+            loaded.set(isbn, { ...record, isbn });
+          }
+        });
+      });
+    records = loaded;
+  };
+  
+  return {
+    name: 'fixture',
+    lookup: async (isbn) => {
+      if (!records) load();
+      return records.get(isbn) || null;
+    }
+  };
+};
+
+module.exports = createFixtureProvider;
\ No newline at end of file
@@ -0,0 +1,30 @@
+// utils/catalog/httpProvider.js - base for providers backed by a remote API
+//
+// A concrete provider supplies the request URL for an ISBN and turns the JSON
+// response into a catalog record, e.g. for Open Library:
+//
+//   createHttpProvider({
+//     name: 'openlibrary',
+//     url: (isbn) => `https://openlibrary.org/isbn/${isbn}.json`,
+//     parse: (body, isbn) => ({ isbn, title: body.title, ... })
+//   })
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const createHttpProvider = ({ name, url, parse, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) => ({
+  name,
+  lookup: async (isbn) => {
+    const response = await fetch(url(isbn), {
+      headers: { Accept: 'application/json', ...headers },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`${name} responded with ${response.status}`);
+    }
+    
+    return parse(await response.json(), isbn);
+  }
+});
+
+module.exports = createHttpProvider;
\ No newline at end of file
@@ -0,0 +1,99 @@
+// utils/catalog/index.js - looks up book metadata by ISBN across catalog providers
+//
+// A provider is { name, lookup(isbn13) } where lookup resolves to null or a record:
+//   { isbn, title, authors: ['First Last'], publisher, publicationYear, pageCount,
+//     language, description, coverImageUrl, subjects: [] }
+// Providers are asked in order and later ones only fill fields earlier ones left
+// empty. CATALOG_PROVIDERS picks the built-in providers (default "fixture");
+// registerProvider() adds others at startup.
+const path = require('path');
+const createFixtureProvider = require('./fixtureProvider');
+
+const BUILT_IN = {
+  fixture: () => createFixtureProvider({
+    directory: process.env.CATALOG_FIXTURES_DIR || path.join(__dirname, '..', '..', 'data', 'catalog')
+  })
+};
+
+const RECORD_FIELDS = ['title', 'publisher', 'publicationYear', 'pageCount', 'language', 'description', 'coverImageUrl'];
+
+let providers = null;
+
+const configuredProviders = () => {
+  if (!providers) {
+    providers = (process.env.CATALOG_PROVIDERS || 'fixture')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => {
+        if (!BUILT_IN[name]) {
+          throw new Error(`Unknown catalog provider: ${name}`);
+        }
+        return BUILT_IN[name]();
+      });
+  }
+  return providers;
+};
+
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.lookup !== 'function') {
+    throw new Error('A catalog provider needs a name and a lookup(isbn) function');
+  }
+  configuredProviders().push(provider);
+};
+
+// Subject headings -> the Book genre enum (first match wins)
+const GENRE_KEYWORDS = [
+  ['Science Fiction', /science fiction/i],
+  ['Fantasy', /fantasy/i],
+  ['Mystery', /mystery|detective|crime/i],
+  ['Biography', /biography|autobiography|memoir/i],
+  ['Self-Help', /self-help|self-actualization/i],
+  ['History', /history/i],
+  ['Fiction', /fiction|novel/i]
+];
+
+const genreFromSubjects = (subjects = []) => {
+  const match = GENRE_KEYWORDS.find(([, pattern]) => subjects.some(subject => pattern.test(subject)));
+  return match ? match[0] : undefined;
+};
+
+// Merged record for the ISBN-13, or null when no provider knows it.
+// A failing provider (e.g. network down) is skipped rather than failing the lookup.
+const lookupIsbn = async (isbn) => {
+  let merged = null;
+  
+  for (const provider of configuredProviders()) {
+    let record;
+    try {
+      record = await provider.lookup(isbn);
+    } catch (error) {
+      console.error(`Catalog provider ${provider.name} failed for ${isbn}:`, error.message);
+      continue;
+    }
+    if (!record) continue;
+    
+    if (!merged) {
+      merged = { isbn, authors: [], subjects: [], sources: [] };
+    }
+    merged.sources.push(provider.name);
+    RECORD_FIELDS.forEach(field => {
+      if (merged[field] === undefined && record[field] !== undefined && record[field] !== '') {
+        merged[field] = record[field];
+      }
+    });
+    if (merged.authors.length === 0 && Array.isArray(record.authors)) merged.authors = record.authors;
+    if (Array.isArray(record.subjects)) merged.subjects.push(...record.subjects);
+  }
+  
+  if (merged) {
+    merged.genre = genreFromSubjects(merged.subjects);
+  }
+  return merged;
+};
+
+module.exports = {
+  lookupIsbn,
+  registerProvider,
+  genreFromSubjects
+};
\ No newline at end of file
@@ -0,0 +1,153 @@
+// utils/catalog/marc.js - reads MARC-in-JSON records and writes MARCXML
+//
+// Field mapping used in both directions:
+//   020 $a        ISBN (qualifiers like "(pbk.)" are dropped)
+//   100 $a        main author, "Last, First"
+//   245 $a $b     title and subtitle
+//   260/264 $b $c publisher and year
+//   300 $a        extent, e.g. "180 p."
+//   041 $a / 008  language code
+//   520 $a        summary
+//   650/655 $a    subjects and genre terms
+//   856 $u        cover image (electronic location)
+//   008           date entered, year, literary form and language (export only)
+
+const LANGUAGES = {
+  eng: 'English',
+  spa: 'Spanish',
+  fre: 'French',
+  ger: 'German',
+  ita: 'Italian',
+  por: 'Portuguese'
+};
+
+// ISBD punctuation left at the end of MARC subfields (" /", " :", ",", ".")
+const trimPunctuation = (value) => String(value).replace(/[\s/:;,.]+$/, '').trim();
+
+const fieldsWithTag = (record, tag) => (record.fields || [])
+  .filter(field => Object.prototype.hasOwnProperty.call(field, tag))
+  .map(field => field[tag]);
+
+const subfield = (field, code) => {
+  if (!field || !Array.isArray(field.subfields)) return undefined;
+  const found = field.subfields.find(sub => Object.prototype.hasOwnProperty.call(sub, code));
+  return found ? found[code] : undefined;
+};
+
+const first = (record, tags, code) => {
+  for (const tag of tags) {
+    for (const field of fieldsWithTag(record, tag)) {
+      const value = subfield(field, code);
+      if (value) return value;
+    }
+  }
+  return undefined;
+};
+
+// "Fitzgerald, F. Scott" -> "F. Scott Fitzgerald"
+// (a final period is punctuation unless it closes an initial)
+const invertName = (name) => {
+  const cleaned = String(name).replace(/[\s,]+$/, '').replace(/([a-z]{2})\.$/, '$1');
+  const [last, rest] = cleaned.split(/,\s*/);
+  return rest ? `${rest} ${last}` : last;
+};
+
+// Plain catalog record (see utils/catalog/index.js) from a MARC-in-JSON record
+const fromMarc = (record) => {
+  const isbn = first(record, ['020'], 'a');
+  const title = first(record, ['245'], 'a');
+  const subtitle = first(record, ['245'], 'b');
+  const author = first(record, ['100'], 'a');
+  const publisher = first(record, ['264', '260'], 'b');
+  const date = first(record, ['264', '260'], 'c');
+  const extent = first(record, ['300'], 'a');
+  const fixed = fieldsWithTag(record, '008')[0];
+  const languageCode = first(record, ['041'], 'a') || (typeof fixed === 'string' ? fixed.slice(35, 38) : undefined);
+  
+  const subjects = ['650', '655']
+    .flatMap(tag => fieldsWithTag(record, tag))
+    .flatMap(field => [subfield(field, 'a'), subfield(field, 'v')])
+    .filter(Boolean)
+    .map(trimPunctuation);
+  
+  return {
+    isbn: isbn ? isbn.split(/\s/)[0] : undefined,
+    title: title ? [trimPunctuation(title), subtitle && trimPunctuation(subtitle)].filter(Boolean).join(': ') : undefined,
+    authors: author ? [invertName(author)] : [],
+    publisher: publisher ? trimPunctuation(publisher) : undefined,
+    publicationYear: date && /\d{4}/.test(date) ? parseInt(date.match(/\d{4}/)[0], 10) : undefined,
+    pageCount: extent && /\d+/.test(extent) ? parseInt(extent.match(/\d+/)[0], 10) : undefined,
+    language: languageCode ? LANGUAGES[languageCode.trim()] : undefined,
+    description: first(record, ['520'], 'a'),
+    coverImageUrl: first(record, ['856'], 'u'),
+    subjects
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters aren't allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const languageCode = (language) => Object.keys(LANGUAGES)
+  .find(code => LANGUAGES[code].toLowerCase() === String(language || '').toLowerCase()) || 'und';
+
+// 245 second indicator: leading article characters a catalog should skip when filing
+const nonFilingCharacters = (title) => {
+  const article = String(title).match(/^(the|an|a) /i);
+  return article ? String(article[0].length) : '0';
+};
+
+// 008 fixed-length data elements for a book (40 characters)
+const fixedFields = (book) => {
+  const entered = new Date(book.createdAt || Date.now()).toISOString().slice(2, 10).replace(/-/g, '');
+  const year = book.publicationYear ? String(book.publicationYear).padStart(4, '0') : '    ';
+  const literaryForm = ['Fiction', 'Science Fiction', 'Fantasy', 'Mystery'].includes(book.genre) ? '1' : '0';
+  const biography = book.genre === 'Biography' ? 'b' : ' ';
+  return `${entered}s${year}    xx ${' '.repeat(11)}000 ${literaryForm}${biography}${languageCode(book.language)} d`;
+};
+
+const controlField = (tag, value) => `    <controlfield tag="${tag}">${escapeXml(value)}</controlfield>\n`;
+
+const dataField = (tag, ind1, ind2, subfields) => {
+  const present = subfields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (present.length === 0) return '';
+  return `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">\n` +
+    present.map(([code, value]) => `      <subfield code="${code}">${escapeXml(value)}</subfield>\n`).join('') +
+    '    </datafield>\n';
+};
+
+// One MARCXML <record> for a book with its author populated (same field mapping as above)
+const toMarcXml = (book) => {
+  const author = book.author && book.author.lastName ? book.author : null;
+  const authorName = author ? `${author.firstName} ${author.lastName}` : book.authorName;
+  
+  return '  <record>\n' +
+    '    <leader>00000nam a22000007i 4500</leader>\n' +
+    controlField('001', book._id) +
+    controlField('008', fixedFields(book)) +
+    dataField('020', ' ', ' ', [['a', book.isbn]]) +
+    dataField('020', ' ', ' ', [['a', book.isbn10]]) +
+    dataField('100', '1', ' ', [['a', author ? `${author.lastName}, ${author.firstName}.` : authorName]]) +
+    dataField('245', author ? '1' : '0', nonFilingCharacters(book.title), [['a', book.title], ['c', authorName]]) +
+    dataField('264', ' ', '1', [['b', book.publisher], ['c', book.publicationYear]]) +
+    dataField('300', ' ', ' ', [['a', book.pageCount ? `${book.pageCount} pages` : undefined]]) +
+    dataField('520', ' ', ' ', [['a', book.description]]) +
+    dataField('655', ' ', '7', [['a', book.genre], ['2', 'local']]) +
+    dataField('856', '4', '2', [['3', book.coverImageUrl ? 'Cover image' : undefined], ['u', book.coverImageUrl]]) +
+    '  </record>\n';
+};
+
+const MARCXML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n';
+const MARCXML_FOOTER = '</collection>\n';
+
+module.exports = {
+  LANGUAGES,
+  fromMarc,
+  toMarcXml,
+  MARCXML_HEADER,
+  MARCXML_FOOTER
+};
\ No newline at end of file
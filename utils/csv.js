@@ -0,0 +1,72 @@
+// utils/csv.js - minimal RFC 4180 CSV reading and writing
+
+// Rows of fields; handles quoted fields with commas, quotes ("") and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Blank lines carry no data
+  return rows.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+};
+
+// Objects keyed by the header row (a leading byte-order mark is dropped); empty cells are left out
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  
+  const keys = header.map(key => key.trim());
+  return rows.map(fields => keys.reduce((record, key, i) => {
+    if (key && fields[i] !== undefined && fields[i] !== '') record[key] = fields[i];
+    return record;
+  }, {}));
+};
+
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF) from an array of values
+const toCsvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsvRow
+};
\ No newline at end of file
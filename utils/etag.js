@@ -0,0 +1,56 @@
+// utils/etag.js - ETags and conditional requests for books
+//
+// The ETag is the document's version key (__v), which models/book.js bumps on
+// every write. GET honors If-None-Match (304); PUT, PATCH and DELETE honor
+// If-Match (412), and then write only if the version is still the one checked,
+// so a change landing between the check and the write is caught too.
+const etagFor = (doc) => `"${doc.__v || 0}"`;
+
+// Entity tags listed in an If-Match / If-None-Match header
+const parseTags = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// If-None-Match uses the weak comparison, so W/"3" matches "3"
+const isNotModified = (req, doc) => {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  
+  const etag = etagFor(doc);
+  return parseTags(header).some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+};
+
+// If-Match uses the strong comparison; a weak tag never matches
+const preconditionFailed = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header) return false;
+  
+  const etag = etagFor(doc);
+  return !parseTags(header).some(tag => tag === '*' || tag === etag);
+};
+
+// Filter for the write that follows a passed If-Match check: pinned to the
+// version that was checked (legacy documents without __v count as version 0)
+const versionFilter = (req, doc) => {
+  const filter = { _id: doc._id };
+  const header = req.get('If-Match');
+  if (header && !parseTags(header).includes('*')) {
+    filter.__v = doc.__v ? doc.__v : { $in: [0, null] };
+  }
+  return filter;
+};
+
+const sendPreconditionFailed = (res, etag) => {
+  if (etag) res.set('ETag', etag);
+  return res.status(412).json({
+    success: false,
+    error: 'Precondition Failed',
+    message: 'The book has changed since it was fetched. Fetch it again (GET /books/{id}) and retry with the new ETag.'
+  });
+};
+
+module.exports = {
+  etagFor,
+  isNotModified,
+  preconditionFailed,
+  versionFilter,
+  sendPreconditionFailed
+};
\ No newline at end of file
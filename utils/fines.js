@@ -0,0 +1,94 @@
+// utils/fines.js - overdue detection and fine accrual
+const mongoose = require('mongoose');
+const Loan = require('../models/loan');
+const Fine = require('../models/fine');
+const circulation = require('../config/circulation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fine a loan should carry at a point in time: per started day late, capped
+const fineDueFor = (loan, asOf) => {
+  const lateMs = asOf.getTime() - loan.dueDate.getTime();
+  if (lateMs <= 0) return 0;
+  
+  const daysLate = Math.ceil(lateMs / DAY_MS);
+  return Math.min(daysLate * circulation.finePerDayCents, circulation.fineMaxPerLoanCents);
+};
+
+// Bring a loan's fine up to date and record the difference in the ledger.
+// Returns the amount charged (0 if nothing new was owed).
+const accrueFine = async (loan, asOf = loan.returnedAt || new Date()) => {
+  const target = fineDueFor(loan, asOf);
+  const delta = target - loan.fineAccrued;
+  if (delta <= 0) return 0;
+  
+  // Guard on the previous value so concurrent runs can't double-charge
+  const updated = await Loan.findOneAndUpdate(
+    { _id: loan._id, fineAccrued: loan.fineAccrued },
+    { fineAccrued: target },
+    { new: true }
+  );
+  if (!updated) return 0;
+  
+  await Fine.create({
+    user: loan.user,
+    loan: loan._id,
+    type: 'charge',
+    amount: delta,
+    note: `Overdue fine as of ${asOf.toISOString().slice(0, 10)}`
+  });
+  
+  return delta;
+};
+
+// Scheduled job: flag loans past their due date and accrue their fines
+const processOverdueLoans = async () => {
+  const now = new Date();
+  
+  await Loan.updateMany(
+    { status: 'active', dueDate: { $lt: now } },
+    { status: 'overdue' }
+  );
+  
+  let charged = 0;
+  const loans = await Loan.find({
+    status: 'overdue',
+    fineAccrued: { $lt: circulation.fineMaxPerLoanCents }
+  });
+  
+  for (const loan of loans) {
+    if (await accrueFine(loan, now) > 0) charged += 1;
+  }
+  
+  return charged;
+};
+
+// Outstanding amount per loan, optionally for one user
+const outstandingFines = (userId) => {
+  const match = userId ? { user: new mongoose.Types.ObjectId(userId) } : {};
+  
+  return Fine.aggregate([
+    { $match: match },
+    { $group: { _id: '$loan', user: { $first: '$user' }, balance: { $sum: '$amount' }, lastEntryAt: { $max: '$createdAt' } } },
+    { $match: { balance: { $gt: 0 } } },
+    { $sort: { lastEntryAt: 1 } },
+    { $project: { _id: 0, loan: '$_id', user: 1, balance: 1, lastEntryAt: 1 } }
+  ]);
+};
+
+// Total a user owes, in cents
+const balanceFor = async (userId) => {
+  const [result] = await Fine.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+  return result ? result.balance : 0;
+};
+
+module.exports = {
+  fineDueFor,
+  accrueFine,
+  processOverdueLoans,
+  outstandingFines,
+  balanceFor
+};
\ No newline at end of file
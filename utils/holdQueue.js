@@ -0,0 +1,89 @@
+// utils/holdQueue.js - moving copies through the per-book hold queue
+const Copy = require('../models/copy');
+const Hold = require('../models/hold');
+const circulation = require('../config/circulation');
+const { syncAvailableCopies } = require('./inventory');
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// A copy came back (return, expired or cancelled hold): set it aside for the
+// next patron in line, or put it back on the shelf if nobody is waiting.
+// Returns the hold that became ready, or null.
+const releaseCopy = async (copyId) => {
+  const copy = await Copy.findById(copyId);
+  if (!copy) return null;
+  
+  const now = new Date();
+  const hold = await Hold.findOneAndUpdate(
+    { book: copy.book, status: 'waiting' },
+    {
+      status: 'ready',
+      copy: copy._id,
+      readyAt: now,
+      expiresAt: addDays(now, circulation.holdPickupDays)
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  
+  await Copy.updateOne({ _id: copy._id }, { status: hold ? 'on_hold' : 'available' });
+  await syncAvailableCopies(copy.book);
+  
+  return hold;
+};
+
+// Claim the ready hold for this patron, if any (used by checkout).
+// Pass copyId to only match the hold a scanned copy was set aside for.
+const claimReadyHold = (bookId, userId, copyId) => Hold.findOneAndUpdate(
+  {
+    book: bookId,
+    user: userId,
+    status: 'ready',
+    ...(copyId ? { copy: copyId } : {})
+  },
+  { status: 'fulfilled', closedAt: new Date() },
+  { new: true }
+);
+
+// Expire ready holds past their pickup deadline and pass the copy on
+const expireHolds = async () => {
+  let expired = 0;
+  let hold;
+  
+  // One at a time so each copy is released exactly once
+  while ((hold = await Hold.findOneAndUpdate(
+    { status: 'ready', expiresAt: { $lte: new Date() } },
+    { status: 'expired', closedAt: new Date() },
+    { new: true }
+  ))) {
+    if (hold.copy) await releaseCopy(hold.copy);
+    expired += 1;
+  }
+  
+  return expired;
+};
+
+// Cancel the open (waiting or ready) holds on books going to the trash, so
+// nobody waits on a book they can't see. Restoring a book doesn't reopen them.
+const cancelHoldsFor = (bookIds, session = null) => Hold.updateMany(
+  { book: { $in: [].concat(bookIds) }, status: { $in: ['waiting', 'ready'] } },
+  { status: 'cancelled', closedAt: new Date() },
+  { session }
+);
+
+// 1-based place in line for a waiting hold
+const queuePosition = async (hold) => {
+  const ahead = await Hold.countDocuments({
+    book: hold.book,
+    status: 'waiting',
+    createdAt: { $lt: hold.createdAt }
+  });
+  return ahead + 1;
+};
+
+module.exports = {
+  releaseCopy,
+  claimReadyHold,
+  expireHolds,
+  cancelHoldsFor,
+  queuePosition
+};
\ No newline at end of file
@@ -0,0 +1,31 @@
+// utils/inventory.js - keeps Book.availableCopies in step with its copies
+const Book = require('../models/book');
+const Copy = require('../models/copy');
+
+// availableCopies is a cache of the number of copies on the shelf
+const syncAvailableCopies = async (bookId) => {
+  const availableCopies = await Copy.countDocuments({ book: bookId, status: 'available' });
+  await Book.updateOne({ _id: bookId }, { availableCopies });
+  return availableCopies;
+};
+
+// Barcodes for copies created without one: <ISBN>-<NNN>
+const generateBarcodes = async (book, count) => {
+  const existing = await Copy.countDocuments({ book: book._id });
+  return Array.from({ length: count }, (_, i) =>
+    `${book.isbn}-${String(existing + i + 1).padStart(3, '0')}`
+  );
+};
+
+// Create copies for a book and refresh its available count
+const addCopies = async (book, copies) => {
+  const created = await Copy.insertMany(copies.map(copy => ({ ...copy, book: book._id })));
+  await syncAvailableCopies(book._id);
+  return created;
+};
+
+module.exports = {
+  syncAvailableCopies,
+  generateBarcodes,
+  addCopies
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// utils/isbn.js - ISBN-10/ISBN-13 check digits and conversion
+//
+// Books are stored under their ISBN-13. ISBN-10s (only ever issued with the 978
+// prefix) are converted on the way in and kept on the book as a derived field.
+
+// Strip hyphens and spaces; a trailing x check digit becomes X
+const cleanIsbn = (value) => String(value || '').replace(/[-\s]/g, '').toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = first9.split('').reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+};
+
+const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+// Canonical ISBN-13 for either form, or null if the value isn't a valid ISBN
+const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+  
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+// ISBN-10 for either form; null for invalid values and 979-prefixed ISBN-13s,
+// which have no ISBN-10
+const toIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn10(isbn)) return isbn;
+  if (!isValidIsbn13(isbn) || !isbn.startsWith('978')) return null;
+  
+  const first9 = isbn.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+};
+
+module.exports = {
+  cleanIsbn,
+  isbn13CheckDigit,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  toIsbn13,
+  toIsbn10
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+// utils/migrations.js - versioned migrations for existing documents
+//
+// Each file in migrations/ exports { description, up(context), down(context, data) }
+// and runs in file name order. up() may return data (e.g. the IDs it changed);
+// it is stored with the migration record and passed to down(). Migrations should
+// use the raw collections in context.db rather than the models, so they keep
+// working after the schemas move on.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+-.+\.js$/.test(file))
+  .sort()
+  .map(file => ({
+    name: path.basename(file, '.js'),
+    ...require(path.join(MIGRATIONS_DIR, file))
+  }));
+
+const context = () => ({
+  db: mongoose.connection.db,
+  log: (message) => console.log(`    ${message}`)
+});
+
+// Every migration with its applied record, if any
+const migrationStatus = async () => {
+  const applied = new Map((await Migration.find().lean()).map(record => [record.name, record]));
+  return loadMigrations().map(migration => ({
+    name: migration.name,
+    description: migration.description,
+    applied: applied.get(migration.name) || null
+  }));
+};
+
+// Apply pending migrations in order, up to and including target if given
+const migrateUp = async (target) => {
+  const migrations = loadMigrations();
+  if (target && !migrations.some(migration => migration.name === target)) {
+    throw new Error(`Unknown migration: ${target}`);
+  }
+  
+  const applied = new Set(await Migration.distinct('name'));
+  const done = [];
+  
+  for (const migration of migrations) {
+    if (!applied.has(migration.name)) {
+      console.log(`↑ ${migration.name}: ${migration.description}`);
+      const started = Date.now();
+      const data = await migration.up(context());
+      await Migration.create({
+        name: migration.name,
+        description: migration.description,
+        durationMs: Date.now() - started,
+        data
+      });
+      done.push(migration.name);
+    }
+    if (migration.name === target) break;
+  }
+  
+  return done;
+};
+
+// Revert the most recently applied migrations (newest first)
+const migrateDown = async (steps = 1) => {
+  const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+  const records = await Migration.find().sort({ name: -1 }).limit(steps);
+  const done = [];
+  
+  for (const record of records) {
+    const migration = migrations.get(record.name);
+    if (!migration) {
+      throw new Error(`Migration ${record.name} is recorded as applied but its file is missing`);
+    }
+    
+    console.log(`↓ ${migration.name}: ${migration.description}`);
+    await migration.down(context(), record.data);
+    await Migration.deleteOne({ _id: record._id });
+    done.push(migration.name);
+  }
+  
+  return done;
+};
+
+module.exports = {
+  migrationStatus,
+  migrateUp,
+  migrateDown
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+// utils/ownership.js - who may modify a book
+const mongoose = require('mongoose');
+const { normalizeRole } = require('../config/permissions');
+
+// Owner ID for new books; demo users with non-ObjectId IDs can't own books
+const ownerIdFor = (user) => (user && mongoose.isValidObjectId(user._id) ? user._id : null);
+
+// Admins can modify any book, owners their own. Unowned books stay editable
+// until REQUIRE_AUTH is turned on.
+const canModifyBook = (book, user) => {
+  if (user && normalizeRole(user.role) === 'admin') return true;
+  if (book.user) return !!user && book.user.toString() === String(user._id);
+  return process.env.REQUIRE_AUTH !== 'true';
+};
+
+module.exports = {
+  ownerIdFor,
+  canModifyBook
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+// utils/pagination.js - keyset (cursor) pagination with RFC 8288 Link headers
+//
+// ?after=<cursor> returns the items following a cursor and ?before=<cursor> the
+// items preceding it. Cursors are opaque base64url tokens holding the sort key
+// values of the item they point at, so inserts between requests never shift a
+// page the way skip() does. ?page= still works for the first page or for old
+// clients, but next/prev links always use cursors.
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE, 10) || 100;
+
+const invalidCursor = {
+  status: 400,
+  body: {
+    success: false,
+    error: 'Invalid cursor',
+    message: 'The cursor is malformed or was issued for a different sort order'
+  }
+};
+
+const encodeCursor = (doc, sort) => {
+  const keys = Object.keys(sort);
+  const values = keys.map(key => doc[key] === undefined ? null : doc[key]);
+  return Buffer.from(JSON.stringify({ k: keys, v: values })).toString('base64url');
+};
+
+// Sort key values from a cursor, cast back to their schema types; null if the
+// cursor is unreadable or belongs to another sort
+const decodeCursor = (token, sort, model) => {
+  try {
+    const { k: keys, v: values } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const expected = Object.keys(sort);
+    if (!Array.isArray(keys) || !Array.isArray(values) || keys.join(',') !== expected.join(',') || values.length !== keys.length) {
+      return null;
+    }
+    
+    return keys.map((key, i) => {
+      const value = values[i];
+      if (value === null) return null;
+      
+      const type = model.schema.path(key) && model.schema.path(key).instance;
+      if (type === 'ObjectId') return new mongoose.Types.ObjectId(value);
+      if (type === 'Date') return new Date(value);
+      if (type === 'Number') return Number(value);
+      return String(value);
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Everything strictly after (or before) the cursor position in sort order:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+const keysetFilter = (values, sort, direction) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, i) => {
+      const clause = {};
+      keys.slice(0, i).forEach((previous, j) => {
+        clause[previous] = values[j];
+      });
+      const forward = (sort[key] === 1) === (direction === 'after');
+      clause[key] = { [forward ? '$gt' : '$lt']: values[i] };
+      return clause;
+    })
+  };
+};
+
+const reverseSort = (sort) => Object.keys(sort).reduce((reversed, key) => {
+  reversed[key] = -sort[key];
+  return reversed;
+}, {});
+
+// Current request URL with the paging parameters replaced
+const pageUrl = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  ['page', 'after', 'before'].forEach(name => url.searchParams.delete(name));
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+};
+
+// Runs one page of model.find(filter) and sets the Link header.
+// sort must end with a unique key (_id). decorate(query) can add populate/lean.
+// Returns { data, pagination } or { status, body } for a bad cursor.
+const paginate = async (req, res, { model, filter, sort, decorate = (query) => query }) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const page = parseInt(req.query.page, 10) || 1;
+  const { after, before } = req.query;
+  const cursor = after || before;
+  
+  let criteria = filter;
+  let order = sort;
+  if (cursor) {
+    const values = decodeCursor(cursor, sort, model);
+    if (!values) return invalidCursor;
+    
+    criteria = { $and: [filter, keysetFilter(values, sort, after ? 'after' : 'before')] };
+    // Walk backwards from the cursor, then put the page back in display order
+    if (before) order = reverseSort(sort);
+  }
+  
+  let query = model.find(criteria).sort(order).limit(limit + 1);
+  if (!cursor && page > 1) query = query.skip((page - 1) * limit);
+  
+  const rows = await decorate(query);
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (before) data.reverse();
+  
+  const hasNext = before ? data.length > 0 : hasMore;
+  const hasPrev = before ? hasMore : Boolean(after) || page > 1;
+  
+  const links = { first: pageUrl(req, { limit }) };
+  if (hasNext && data.length > 0) {
+    links.next = pageUrl(req, { limit, after: encodeCursor(data[data.length - 1], sort) });
+  }
+  if (hasPrev && data.length > 0) {
+    links.prev = pageUrl(req, { limit, before: encodeCursor(data[0], sort) });
+  }
+  
+  res.set('Link', Object.entries(links).map(([rel, url]) => `<${url}>; rel="${rel}"`).join(', '));
+  
+  return {
+    data,
+    pagination: {
+      limit,
+      page: cursor ? undefined : page,
+      next: links.next || null,
+      prev: links.prev || null
+    }
+  };
+};
+
+// Query validators for every paginated listing
+const validatePagination = [
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('after').optional().isLength({ min: 1, max: 1024 }),
+  query('before').optional().isLength({ min: 1, max: 1024 })
+    .custom((value, { req }) => !req.query.after).withMessage('Use either after or before, not both')
+];
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  validatePagination
+};
\ No newline at end of file
@@ -0,0 +1,246 @@
+// utils/patch.js - partial updates for PATCH /books/{id} and /authors/{id}
+//
+// Two body formats are accepted: RFC 7396 JSON Merge Patch
+// (application/merge-patch+json, or plain application/json) and RFC 6902 JSON
+// Patch (application/json-patch+json). The patch is applied to a plain JSON copy
+// of the document's editable fields; only the fields whose value actually
+// changes are run through the route's validation rules and written back.
+const { isDeepStrictEqual } = require('util');
+const { validationResult } = require('express-validator');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+const PATCH_TYPES = [MERGE_PATCH, JSON_PATCH];
+const ACCEPT_PATCH = PATCH_TYPES.join(', ');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const patchError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// RFC 7396: null removes a member, objects merge recursively, anything else replaces
+const mergePatch = (target, patch) => {
+  if (!isObject(patch)) return patch;
+  
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+// RFC 6901 pointer to tokens: "/genres/0" -> ['genres', '0'] ("~1" is "/", "~0" is "~")
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`"${pointer}" is not a JSON pointer`);
+  }
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const isArrayIndex = (array, token) => /^(0|[1-9]\d*)$/.test(token) && Number(token) < array.length;
+
+const getValue = (doc, tokens, pointer) => tokens.reduce((value, token) => {
+  if (Array.isArray(value) && isArrayIndex(value, token)) return value[Number(token)];
+  if (isObject(value) && Object.prototype.hasOwnProperty.call(value, token)) return value[token];
+  throw patchError(`Path "${pointer}" does not exist`);
+}, doc);
+
+// Container and last token of a pointer; operations on the whole document aren't supported
+const locate = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw patchError('Operations on the whole document are not supported');
+  }
+  
+  const parent = getValue(doc, tokens.slice(0, -1), pointer);
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw patchError(`Path "${pointer}" does not exist`);
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const add = (doc, pointer, value) => {
+  const { parent, key } = locate(doc, pointer);
+  if (!Array.isArray(parent)) {
+    parent[key] = value;
+  } else if (key === '-' || key === String(parent.length)) {
+    parent.push(value);
+  } else if (isArrayIndex(parent, key)) {
+    parent.splice(Number(key), 0, value);
+  } else {
+    throw patchError(`Array index out of range at "${pointer}"`);
+  }
+};
+
+const remove = (doc, pointer) => {
+  const { parent, key } = locate(doc, pointer);
+  const value = getValue(parent, [key], pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return value;
+};
+
+const applyOperation = (doc, operation) => {
+  const { op, path, from } = operation;
+  if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+    throw patchError(`"${op}" needs a value`);
+  }
+  const value = structuredClone(operation.value);
+  
+  switch (op) {
+    case 'add':
+      add(doc, path, value);
+      break;
+    case 'remove':
+      remove(doc, path);
+      break;
+    case 'replace':
+      remove(doc, path);
+      add(doc, path, value);
+      break;
+    case 'move':
+      if (typeof path === 'string' && path.startsWith(`${from}/`)) {
+        throw patchError(`Cannot move "${from}" into one of its own children`);
+      }
+      add(doc, path, remove(doc, from));
+      break;
+    case 'copy':
+      add(doc, path, structuredClone(getValue(doc, parsePointer(from), from)));
+      break;
+    case 'test':
+      if (!isDeepStrictEqual(getValue(doc, parsePointer(path), path), value)) {
+        throw patchError(`Value at "${path}" does not match`, 409);
+      }
+      break;
+    default:
+      throw patchError(`Unknown operation "${op}"`);
+  }
+};
+
+// RFC 6902: operations apply in order and the patch is all-or-nothing
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw patchError('A JSON Patch body must be an array of operations');
+  }
+  
+  const doc = structuredClone(document);
+  operations.forEach((operation, i) => {
+    try {
+      if (!isObject(operation)) throw patchError('Operation must be an object');
+      applyOperation(doc, operation);
+    } catch (error) {
+      error.message = `Operation ${i}: ${error.message}`;
+      throw error;
+    }
+  });
+  return doc;
+};
+
+// Applies the request's patch to `doc` (a Mongoose document) and validates the
+// result. `fields` are the paths a client may change; `rules` are the route's
+// express-validator chains - only those for changed fields run, so "genres"
+// also picks up the "genres.*" rule. Returns { changed, set, unset } (the update
+// to write) or { status, body } for the client.
+const patchDocument = async (req, res, doc, { fields, rules }) => {
+  const type = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  const format = type === JSON_PATCH ? 'json-patch' : [MERGE_PATCH, 'application/json'].includes(type) ? 'merge-patch' : null;
+  if (!format) {
+    res.set('Accept-Patch', ACCEPT_PATCH);
+    return {
+      status: 415,
+      body: {
+        success: false,
+        error: 'Unsupported Media Type',
+        message: `Send the patch as ${MERGE_PATCH} or ${JSON_PATCH}`
+      }
+    };
+  }
+  
+  const source = doc.toObject();
+  const current = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) current[field] = source[field];
+  });
+  const document = JSON.parse(JSON.stringify(current));
+  
+  let patched;
+  try {
+    if (format === 'merge-patch' && !isObject(req.body)) {
+      throw patchError('A merge patch body must be a JSON object');
+    }
+    patched = format === 'json-patch' ? applyJsonPatch(document, req.body) : mergePatch(document, req.body);
+  } catch (error) {
+    return {
+      status: error.status || 400,
+      body: {
+        success: false,
+        error: error.status === 409 ? 'Patch test failed' : 'Invalid patch',
+        message: error.message
+      }
+    };
+  }
+  
+  const readOnly = Object.keys(patched).filter(field => !fields.includes(field));
+  if (readOnly.length > 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid patch',
+        message: `These fields cannot be patched: ${readOnly.join(', ')}`
+      }
+    };
+  }
+  
+  const changed = fields.filter(field => !isDeepStrictEqual(document[field], patched[field]));
+  
+  const values = {};
+  changed.forEach(field => {
+    if (patched[field] !== undefined) values[field] = patched[field];
+  });
+  
+  const check = { body: values };
+  const touched = rules.filter(chain => chain.builder.build().fields.some(path => changed.includes(path.split(/[.[]/)[0])));
+  for (const chain of touched) {
+    await chain.run(check);
+  }
+  
+  const errors = validationResult(check);
+  if (!errors.isEmpty()) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        errors: errors.array()
+      }
+    };
+  }
+  
+  // Removed fields are unset; the rest take the validated (sanitized) values
+  const set = {};
+  const unset = [];
+  changed.forEach(field => {
+    if (check.body[field] === undefined) {
+      unset.push(field);
+    } else {
+      set[field] = check.body[field];
+    }
+  });
+  
+  return { changed, set, unset };
+};
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  PATCH_TYPES,
+  mergePatch,
+  applyJsonPatch,
+  patchDocument
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+// utils/search.js - helpers for GET /books/search (MongoDB $text queries)
+
+// Fields that carry highlighted snippets, in the order they are reported
+const SNIPPET_FIELDS = ['title', 'authorName', 'publisher', 'description'];
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Words and "quoted phrases" from a $text query, minus -negated terms
+const searchTerms = (q) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) terms.push(term);
+  }
+  return terms;
+};
+
+// Text search stems words ("running" matches "run"), so highlight any word that
+// starts with the term or with its stem
+const termPattern = (terms) => {
+  const alternatives = terms.map(term => {
+    const stem = term.length > 4
+      ? term.replace(/(ing|ed|es|s)$/i, '').replace(/([b-df-hj-np-tv-z])\1$/i, '$1')
+      : term;
+    return `${escapeRegex(stem)}\\w*`;
+  });
+  return new RegExp(`\\b(${alternatives.join('|')})`, 'gi');
+};
+
+// A window of text around the first match, HTML-escaped, matches wrapped in <mark>
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+  
+  const pattern = termPattern(terms);
+  const first = pattern.exec(text);
+  if (!first) return null;
+  
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+  
+  let snippet = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(excerpt)) !== null) {
+    snippet += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+  
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// { field: snippet } for every searchable field of the book that matched
+const highlightsFor = (book, terms) => SNIPPET_FIELDS.reduce((highlights, field) => {
+  const snippet = highlight(book[field], terms);
+  if (snippet) highlights[field] = snippet;
+  return highlights;
+}, {});
+
+module.exports = {
+  escapeRegex,
+  searchTerms,
+  highlight,
+  highlightsFor
+};
\ No newline at end of file
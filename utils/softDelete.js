@@ -0,0 +1,68 @@
+// utils/softDelete.js - Mongoose plugin for records that go to the trash first
+//
+// Adds deletedAt/deletedBy. Queries and aggregations leave out deleted
+// documents unless they filter on deletedAt themselves (as the trash listing
+// and the purge job do) or ask for everything with the withDeleted option:
+//   Book.findById(id).setOptions({ withDeleted: true })
+//   Book.aggregate(pipeline).option({ withDeleted: true })
+const mongoose = require('mongoose');
+
+const QUERY_OPS = [
+  'find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndDelete',
+  'findOneAndReplace', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+const NOT_DELETED = { deletedAt: null };
+
+// Also looks inside $and, which is how utils/pagination.js adds its cursor
+const filtersOnDeletedAt = (filter) => filter.deletedAt !== undefined ||
+  (Array.isArray(filter.$and) && filter.$and.some(filtersOnDeletedAt));
+
+// Pops the withDeleted option so it isn't passed on to the driver
+const takeWithDeleted = (options) => {
+  const withDeleted = Boolean(options && options.withDeleted);
+  if (options) delete options.withDeleted;
+  return withDeleted;
+};
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+  
+  schema.pre(QUERY_OPS, function() {
+    if (takeWithDeleted(this.getOptions())) return;
+    if (!filtersOnDeletedAt(this.getFilter())) {
+      this.where(NOT_DELETED);
+    }
+  });
+  
+  // $text and $geoNear have to open the pipeline, so join an opening $match
+  // rather than putting another stage in front of it
+  schema.pre('aggregate', function() {
+    if (takeWithDeleted(this.options)) return;
+    
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    if (first && first.$match) {
+      if (first.$match.deletedAt === undefined) {
+        pipeline[0] = { $match: { ...first.$match, ...NOT_DELETED } };
+      }
+    } else if (first && first.$geoNear) {
+      pipeline.splice(1, 0, { $match: NOT_DELETED });
+    } else {
+      pipeline.unshift({ $match: NOT_DELETED });
+    }
+  });
+};
+
+module.exports = softDelete;
\ No newline at end of file
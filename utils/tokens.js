@@ -0,0 +1,107 @@
+// utils/tokens.js - JWT access/refresh token helpers
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+// Hash API keys before storing/looking them up
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const generateApiKey = () => `blk_${crypto.randomBytes(24).toString('hex')}`;
+
+// Sign a short-lived access token carrying the fields req.user needs
+const signAccessToken = (user) => jwt.sign(
+  {
+    type: 'access',
+    role: user.role,
+    displayName: user.displayName,
+    email: user.email
+  },
+  JWT_SECRET,
+  { subject: user._id.toString(), jwtid: crypto.randomUUID(), expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Sign a refresh token and record it so it can be rotated/revoked
+const signRefreshToken = async (user, family = crypto.randomUUID()) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { type: 'refresh', family },
+    JWT_SECRET,
+    { subject: user._id.toString(), jwtid: jti, expiresIn: REFRESH_TOKEN_TTL }
+  );
+  
+  const { exp } = jwt.decode(token);
+  await RefreshToken.create({
+    jti,
+    user: user._id,
+    family,
+    expiresAt: new Date(exp * 1000)
+  });
+  
+  return { token, jti };
+};
+
+// Issue an access + refresh token pair
+const issueTokenPair = async (user, family) => {
+  const accessToken = signAccessToken(user);
+  const refresh = await signRefreshToken(user, family);
+  const { exp } = jwt.decode(accessToken);
+  
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+    refreshToken: refresh.token,
+    refreshJti: refresh.jti
+  };
+};
+
+// Verify a token of the given type; throws on bad signature, expiry or revocation
+const verifyToken = async (token, type) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  
+  if (decoded.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+  }
+  
+  if (type === 'access' && await RevokedToken.exists({ jti: decoded.jti })) {
+    throw new jwt.JsonWebTokenError('Token has been revoked');
+  }
+  
+  return decoded;
+};
+
+// Put an access token on the revocation list until it expires
+const revokeAccessToken = async (decoded, reason = 'revoked') => {
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.sub,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Revoke every refresh token from one login (used on reuse detection and logout)
+const revokeRefreshFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  issueTokenPair,
+  verifyToken,
+  revokeAccessToken,
+  revokeRefreshFamily
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+// utils/transactions.js - run several writes as one MongoDB transaction
+//
+// Transactions need a replica set (or a sharded cluster). On a standalone
+// server, as in most local setups, the work runs without one and a warning is
+// logged once; POST /admin/recount repairs any bookCount drift that leaves.
+const mongoose = require('mongoose');
+
+let supported;
+
+const transactionsSupported = async () => {
+  if (supported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    if (!supported) {
+      console.warn('⚠️  MongoDB is not a replica set - book writes and author bookCount updates are not transactional');
+    }
+  }
+  return supported;
+};
+
+// Runs fn(session) in a transaction and returns its result. Pass the session to
+// every query inside; it is null when transactions are unavailable, which
+// Mongoose treats as "no session". fn may be retried on transient errors.
+const withTransaction = async (fn) => {
+  if (!(await transactionsSupported())) {
+    return fn(null);
+  }
+  
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+module.exports = {
+  withTransaction
+};
\ No newline at end of file
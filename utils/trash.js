@@ -0,0 +1,42 @@
+// utils/trash.js - soft-deleted books and authors (see utils/softDelete.js)
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Copy = require('../models/copy');
+const { retentionDays } = require('../config/trash');
+const { withTransaction } = require('./transactions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the purge job will remove something deleted at deletedAt
+const purgeDateFor = (deletedAt) => new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+// Permanently removes books (with their copies) and authors that have been in
+// the trash longer than retentionDays. An author stays while any book, trashed
+// or not, still references them. Returns the number of records removed.
+const purgeTrash = async (now = new Date()) => {
+  const expired = { deletedAt: { $lt: new Date(now.getTime() - retentionDays * DAY_MS) } };
+  
+  const books = await withTransaction(async (session) => {
+    const bookIds = await Book.distinct('_id', expired).session(session);
+    if (bookIds.length === 0) return 0;
+    
+    await Copy.deleteMany({ book: { $in: bookIds } }, { session });
+    const { deletedCount } = await Book.deleteMany({ _id: { $in: bookIds }, ...expired }, { session });
+    return deletedCount;
+  });
+  
+  const authorIds = await Author.distinct('_id', expired);
+  const referenced = new Set((await Book.distinct('author', { author: { $in: authorIds } })
+    .setOptions({ withDeleted: true })).map(String));
+  const { deletedCount: authors } = await Author.deleteMany({
+    _id: { $in: authorIds.filter(id => !referenced.has(String(id))) },
+    ...expired
+  });
+  
+  return books + authors;
+};
+
+module.exports = {
+  purgeDateFor,
+  purgeTrash
+};
\ No newline at end of file